@@ -1,10 +1,19 @@
 'use strict';
 const connect = require('tedious').connect;
+const ConnectionError = require('tedious').ConnectionError;
+const Request = require('tedious').Request;
+const TYPES = require('tedious').TYPES;
 const EventEmitter = require('events').EventEmitter;
+const Readable = require('stream').Readable;
 const util = require('util');
+const errors = require('./errors');
 
-function release() {
-    this.pool.release(this);
+function release(options, callback) {
+    return this.pool.release(this, options, callback);
+}
+
+function destroyConnection() {
+    this.pool.destroy(this);
 }
 
 const PENDING = 0;
@@ -29,10 +38,52 @@ function ConnectionPool(poolConfig, connectionConfig) {
         ? 5000
         : poolConfig.retryDelay;
 
+    this.retryBackoff = poolConfig.retryBackoff || 1;
+
+    this.maxRetryDelay = poolConfig.maxRetryDelay || Math.max(60000, this.retryDelay);
+
+    this.retryJitter = poolConfig.retryJitter || 0;
+
+    this.circuitBreakerThreshold = poolConfig.circuitBreakerThreshold || 0;
+
     this.acquireTimeout = !poolConfig.acquireTimeout && poolConfig.acquireTimeout !== false
         ? 60000 //1 min
         : poolConfig.acquireTimeout;
 
+    this.maxWaitingClients = poolConfig.maxWaitingClients || 0;
+
+    this.leakDetectionThreshold = poolConfig.leakDetectionThreshold || 0;
+
+    this.forceReleaseAfter = poolConfig.forceReleaseAfter || 0;
+
+    this.validateOnAcquire = !!poolConfig.validateOnAcquire;
+
+    this.validationInterval = poolConfig.validationInterval || 0;
+
+    this.validator = typeof poolConfig.validateOnAcquire === 'function'
+        ? poolConfig.validateOnAcquire
+        : selectOne;
+
+    this.maxLifetime = poolConfig.maxLifetime || 0;
+
+    this.maxLifetimeJitter = poolConfig.maxLifetimeJitter >= 0
+        ? poolConfig.maxLifetimeJitter
+        : this.maxLifetime * 0.1;
+
+    this.maxUses = poolConfig.maxUses || 0;
+
+    this.connectionFactory = poolConfig.connectionFactory || connect;
+
+    this.credentialExpiryMargin = poolConfig.credentialExpiryMargin >= 0
+        ? poolConfig.credentialExpiryMargin
+        : 300000; //5 min
+
+    this.onConnect = poolConfig.onConnect;
+
+    this.onReset = poolConfig.onReset;
+
+    this.resetOnRelease = poolConfig.resetOnRelease === undefined ? true : poolConfig.resetOnRelease;
+
     if (poolConfig.log) {
         if (Object.prototype.toString.call(poolConfig.log) == '[object Function]')
             this.log = poolConfig.log;
@@ -45,19 +96,114 @@ function ConnectionPool(poolConfig, connectionConfig) {
         this.log = function() {};
     }
 
+    this.configVersion = 0; //incremented by updateConnectionConfig(), older connections are recycled
+
     this.drained = false;
+    this.draining = false; //a graceful drain is waiting for connections to be released
+
+    this.failures = 0; //consecutive connection errors, across all connections
+    this.circuitOpen = false;
+
+    this.counters = {
+        acquire: 0,
+        release: 0,
+        create: 0,
+        destroy: 0,
+        timeout: 0,
+        error: 0,
+        retry: 0,
+        resetError: 0
+    };
+    this.acquireWaits = []; //the most recent acquire() wait times, in ms
 
     setTimeout(fill.bind(this), 4);
+
+    if (this.validationInterval)
+        this.validationTimer = setInterval(validateIdle.bind(this), this.validationInterval);
 }
 
 util.inherits(ConnectionPool, EventEmitter);
 
 let cid = 1;
 
+const ACQUIRE_WAIT_SAMPLES = 1000;
+
 function createConnection(pooled) {
-    if (this.drained) //pool has been drained
+    if (this.drained || this.draining) //pool has been drained
+        return;
+
+    this.log('creating connection: ' + cid);
+    if (pooled) { //retrying after an error
+        this.counters.retry++;
+        pooled.id = cid++;
+        pooled.status = PENDING;
+        pooled.statements = undefined; //prepared on the connection that failed
+    } else {
+        pooled = {
+            id: cid++,
+            status: PENDING
+        };
+
+        this.connections.push(pooled);
+    }
+    pooled.configVersion = this.configVersion;
+    pooled.credentialsExpire = undefined;
+
+    if (typeof this.connectionConfig !== 'function') {
+        openConnection.call(this, pooled, this.connectionConfig);
         return;
+    }
+
+    //the factory is called for each connection, so it can provide fresh credentials
+    const factory = this.connectionConfig;
+    Promise.resolve()
+        .then(() => factory())
+        .then((connectionConfig) => {
+            if (this.drained || this.draining || pooled.destroyed) //pool has been drained
+                return;
+
+            if (!connectionConfig || typeof connectionConfig !== 'object')
+                throw new TypeError('connectionConfig factory must return an object');
+
+            if (connectionConfig.expires !== undefined) { //the connection is recycled before its credentials expire
+                pooled.credentialsExpire = new Date(connectionConfig.expires).getTime() - this.credentialExpiryMargin;
+                connectionConfig = Object.assign({}, connectionConfig);
+                delete connectionConfig.expires;
+            }
+
+            openConnection.call(this, pooled, connectionConfig);
+        })
+        .catch((err) => { //the factory failed, or returned a config that could not be used
+            if (this.drained || this.draining || pooled.destroyed) //pool has been drained
+                return;
+
+            this.log('connection config factory failed');
+            retryConnection.call(this, pooled, err || new Error('Connection config factory failed'));
+        });
+}
+
+//retries with a delay, like any other connection error
+function retryConnection(pooled, err) {
+    if (pooled.status === PENDING) //it failed before it could be used
+        err = new errors.ConnectionCreateError(err);
+
+    pooled.status = RETRY;
+    pooled.con = undefined;
+    if (pooled.timeout)
+        clearTimeout(pooled.timeout);
+    clearLeakTimeouts(pooled);
 
+    pooled.attempts = (pooled.attempts || 0) + 1;
+    pooled.timeout = setTimeout(createConnection.bind(this, pooled), getRetryDelay.call(this, pooled.attempts));
+    this.counters.error++;
+    this.failures++;
+    this.emit('error', err);
+
+    if (this.circuitBreakerThreshold && !this.circuitOpen && this.failures >= this.circuitBreakerThreshold)
+        openCircuit.call(this, err);
+}
+
+function openConnection(pooled, connectionConfig) {
     const endHandler = () => {
         this.log('connection ended: ' + pooled.id);
         if (this.drained) //pool has been drained
@@ -65,7 +211,10 @@ function createConnection(pooled) {
 
         for (let i = this.connections.length - 1; i >= 0; i--) {
             if (this.connections[i].con === connection) {
+                clearLeakTimeouts(this.connections[i]);
                 this.connections.splice(i, 1);
+                this.counters.destroy++;
+                this.emit('destroy', connection);
                 fill.call(this);
                 return;
             }
@@ -73,42 +222,57 @@ function createConnection(pooled) {
     };
 
     const handleError = (err) => {
+        if (pooled.destroyed) //connection was already removed from the pool
+            return;
+
+        if (pooled.con !== connection) //a failed connect is reported both to the callback and the 'connect' event
+            return;
+
         this.log('connection closing because of error');
 
         connection.removeListener('end', endHandler);
-        pooled.status = RETRY;
-        pooled.con = undefined;
-        if (pooled.timeout)
-            clearTimeout(pooled.timeout);
-
-        pooled.timeout = setTimeout(createConnection.bind(this, pooled), this.retryDelay);
-        this.emit('error', err);
+        retryConnection.call(this, pooled, err);
     };
 
-    this.log('creating connection: ' + cid);
-    const connection = connect(this.connectionConfig, (err) => {
-        if(err) handleError(err);
-    });
+    let connection;
+    try {
+        connection = this.connectionFactory(connectionConfig, (err) => {
+            if(err) handleError(err);
+        });
+    } catch (err) { //e.g. tedious rejecting the connection config
+        this.log('connection could not be created: ' + pooled.id);
+        retryConnection.call(this, pooled, err);
+        return;
+    }
 
     connection.release = release;
+    connection.destroy = destroyConnection;
     connection.pool = this;
-    if (pooled) {
-        pooled.id = cid++;
-        pooled.con = connection;
-        pooled.status = PENDING;
-    } else {
-        pooled = {
-            id: cid++,
-            con: connection,
-            status: PENDING
-        };
+    pooled.con = connection;
 
-        this.connections.push(pooled);
-    }
+    const connected = () => {
+        this.counters.create++;
+        this.emit('create', connection);
+
+        pooled.attempts = 0;
+        this.failures = 0;
+        if (this.circuitOpen)
+            closeCircuit.call(this);
+
+        pooled.uses = 0;
+        if (this.maxLifetime) //jitter keeps connections created together from expiring together
+            pooled.expires = Date.now() + this.maxLifetime - Math.random() * this.maxLifetimeJitter;
+
+        const waiter = this.waiting.shift();
+        if (waiter !== undefined)
+            setUsed.call(this, pooled, waiter);
+        else
+            setFree.call(this, pooled);
+    };
 
     connection.on('connect', (err) => {
         this.log('connection connected: ' + pooled.id);
-        if (this.drained) { //pool has been drained
+        if (this.drained || this.draining) { //pool has been drained
             this.log('connection closing because pool is drained');
             connection.close();
             return;
@@ -119,19 +283,73 @@ function createConnection(pooled) {
             return;
         }
 
-        const waiter = this.waiting.shift();
-        if (waiter !== undefined)
-            setUsed.call(this, pooled, waiter);
-        else
-            setFree.call(this, pooled);
+        if (!this.onConnect) {
+            connected();
+            return;
+        }
+
+        runHook(this.onConnect, connection, (err) => {
+            if (this.drained || this.draining) { //pool has been drained
+                connection.close();
+                return;
+            }
+
+            if (pooled.con !== connection) //the connection failed while the hook was running
+                return;
+
+            if (err) { //retried like any other connection error
+                this.log('onConnect failed: ' + pooled.id);
+                handleError(err);
+                connection.close();
+                return;
+            }
+
+            connected();
+        });
     });
 
     connection.on('error', handleError);
     connection.on('end', endHandler);
 }
 
+//calls the onConnect hook, which may return a Promise
+function runHook(hook, connection, callback) {
+    Promise.resolve()
+        .then(() => hook(connection))
+        .then(() => callback(), (err) => callback(err || new Error('Connection hook failed')));
+}
+
+//exponential backoff, with jitter so the connections don't all retry together
+function getRetryDelay(attempts) {
+    const delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(this.retryBackoff, attempts - 1));
+    return delay - Math.random() * delay * this.retryJitter;
+}
+
+//acquire() fails fast while the circuit is open. The connections retrying in the background close it again.
+function openCircuit(err) {
+    this.log('circuit opened after ' + this.failures + ' connection errors');
+    this.circuitOpen = true;
+    this.lastError = err;
+    this.emit('circuitOpen', err);
+
+    const waiting = this.waiting.splice(0);
+    for (let i = 0; i < waiting.length; i++) {
+        const waiter = waiting[i];
+
+        finishWaiting(waiter);
+        waiter.callback(new errors.PoolUnavailableError(err));
+    }
+}
+
+function closeCircuit() {
+    this.log('circuit closed');
+    this.circuitOpen = false;
+    this.lastError = undefined;
+    this.emit('circuitClosed');
+}
+
 function fill() {
-    if (this.drained) //pool has been drained
+    if (this.drained || this.draining) //pool has been drained
         return;
 
     let available = 0;
@@ -156,13 +374,147 @@ function fill() {
         createConnection.call(this);
 }
 
-ConnectionPool.prototype.acquire = function (callback) {
-    if (this.drained) //pool has been drained
+ConnectionPool.prototype.acquire = function (options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    options = options || {};
+
+    if (!callback) {
+        return new Promise((resolve, reject) => {
+            this.acquire(options, (err, connection) => {
+                if (err)
+                    reject(err);
+                else
+                    resolve(connection);
+            });
+        });
+    }
+
+    if (options.sessionContext)
+        callback = withSessionContext.call(this, options.sessionContext, callback);
+
+    if (this.drained) { //pool has been drained
+        callback(new errors.PoolDrainedError());
+        return;
+    }
+
+    if (this.draining) {
+        callback(new errors.PoolDrainingError());
+        return;
+    }
+
+    if (this.circuitOpen) {
+        callback(new errors.PoolUnavailableError(this.lastError));
         return;
+    }
+
+    if (options.signal && options.signal.aborted) {
+        callback(new errors.AbortError(options.signal.reason));
+        return;
+    }
 
+    const waiter = {
+        callback: callback,
+        start: Date.now(),
+        priority: options.priority || 0,
+        acquireTimeout: options.acquireTimeout !== undefined ? options.acquireTimeout : this.acquireTimeout,
+        signal: options.signal
+    };
+
+    if (this.leakDetectionThreshold) //remember who acquired the connection, for the 'leak' event
+        waiter.stack = new Error('Connection acquired').stack;
+
+    assignConnection.call(this, waiter);
+};
+
+function getPooled(connection) {
+    for (let i = this.connections.length - 1; i >= 0; i--) {
+        if (this.connections[i].con === connection)
+            return this.connections[i];
+    }
+}
+
+function parameterType(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value >= -2147483648 && value <= 2147483647
+            ? TYPES.Int
+            : TYPES.Float;
+    }
+    if (typeof value === 'boolean')
+        return TYPES.Bit;
+    if (value instanceof Date)
+        return TYPES.DateTime2;
+    if (Buffer.isBuffer(value))
+        return TYPES.VarBinary;
+    return TYPES.NVarChar;
+}
+
+//sets all the keys with one request
+function setSessionContext(connection, context) {
+    return new Promise((resolve, reject) => {
+        const keys = Object.keys(context);
+        const sql = keys.map((key, i) => 'EXEC sp_set_session_context @key = @k' + i + ', @value = @v' + i + ';').join(' ');
+        const request = new Request(sql, (err) => {
+            if (err)
+                reject(err);
+            else
+                resolve();
+        });
+
+        keys.forEach((key, i) => {
+            const value = context[key];
+            request.addParameter('k' + i, TYPES.NVarChar, key);
+            request.addParameter('v' + i, parameterType(value), value === undefined ? null : value);
+        });
+
+        connection.execSql(request);
+    });
+}
+
+//applies the session context before the acquire() callback gets the connection. release() clears it again.
+function withSessionContext(context, callback) {
+    return (err, connection) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        const pooled = getPooled.call(this, connection);
+        pooled.sessionContextKeys = Object.keys(context);
+
+        setSessionContext(connection, context).then(() => {
+            callback(null, connection);
+        }, (err) => {
+            this.log('setting session context failed: ' + pooled.id);
+            if (isConnectionError(err)) //don't reuse the connection
+                connection.destroy();
+            else
+                connection.release();
+            callback(err);
+        });
+    };
+}
+
+function assignConnection(waiter) {
     const self = this;
     let free;
 
+    if (this.drained) { //the pool was drained while a connection was being reset or validated
+        finishWaiting(waiter);
+        waiter.callback(new errors.PoolDrainedError());
+        return;
+    }
+
+    if (this.draining) { //a graceful drain started while a connection was being validated
+        finishWaiting(waiter);
+        waiter.callback(new errors.PoolDrainingError());
+        return;
+    }
+
+    retireExpired.call(this);
+
     //look for free connection
     const l = this.connections.length;
     for (let i = 0; i < l; i++) {
@@ -174,148 +526,1202 @@ ConnectionPool.prototype.acquire = function (callback) {
         }
     }
 
-    const waiter = {
-        callback: callback
-    };
-
     if (free === undefined) { //no valid connection found
-        if (this.acquireTimeout) {
+        if (this.maxWaitingClients && this.waiting.length >= this.maxWaitingClients) {
+            finishWaiting(waiter);
+            waiter.callback(new errors.PoolQueueFullError(this.maxWaitingClients));
+            return;
+        }
+
+        if (waiter.acquireTimeout && !waiter.timeout) {
 
             waiter.timeout = setTimeout(function () {
-                for (let i = self.waiting.length - 1; i >= 0; i--) {
-                    const waiter2 = self.waiting[i];
+                const i = self.waiting.indexOf(waiter);
+
+                if (i !== -1) {
+                    self.waiting.splice(i, 1);
+                    finishWaiting(waiter);
+                    self.counters.timeout++;
+                    self.emit('timeout');
+                    waiter.callback(new errors.AcquireTimeoutError(waiter.acquireTimeout));
+                }
+            }, waiter.acquireTimeout);
+        }
 
-                    if (waiter2.timeout === waiter.timeout) {
-                        self.waiting.splice(i, 1);
-                        waiter.callback(new Error('Acquire Timeout Exceeded'));
-                        return;
-                    }
+        if (waiter.signal && !waiter.onAbort) {
+            waiter.onAbort = function () {
+                const i = self.waiting.indexOf(waiter);
+
+                if (i !== -1) { //otherwise a connection is already on its way
+                    self.waiting.splice(i, 1);
+                    finishWaiting(waiter);
+                    waiter.callback(new errors.AbortError(waiter.signal.reason));
                 }
-            }, this.acquireTimeout);
+            };
+            waiter.signal.addEventListener('abort', waiter.onAbort);
         }
 
-        this.waiting.push(waiter);
+        enqueue.call(this, waiter);
+        this.emit('enqueue', this.waiting.length);
         fill.call(this);
+    } else if (free.dirty) { //released without a reset, by resetOnRelease 'lazy'
+        assignDirty.call(this, free, waiter);
+    } else if (this.validateOnAcquire) {
+        validate.call(this, free, (valid) => {
+            if (valid)
+                setUsed.call(this, free, waiter);
+            else
+                assignConnection.call(this, waiter); //try again with another connection
+        });
     } else {
         setUsed.call(this, free, waiter);
     }
-};
+}
 
-function setUsed(pooled, waiter) {
-    pooled.status = USED;
-    if (pooled.timeout) {
-        clearTimeout(pooled.timeout);
-        pooled.timeout = undefined;
+//resets a connection released without a reset before the waiter gets it
+function assignDirty(free, waiter) {
+    const connection = free.con;
+
+    free.dirty = false;
+    free.status = USED;
+    if (free.timeout) {
+        clearTimeout(free.timeout);
+        free.timeout = undefined;
     }
+
+    resetConnection.call(this, free, connection, true, (err) => {
+        if (this.drained) { //fails with PoolDrainedError
+            assignConnection.call(this, waiter);
+            return;
+        }
+
+        if (!err && !this.draining && free.con === connection) {
+            setUsed.call(this, free, waiter);
+            return;
+        }
+
+        if (err) {
+            resetFailed.call(this, connection, err);
+            this.log('connection reset failed: ' + free.id);
+        }
+        destroy.call(this, free);
+        assignConnection.call(this, waiter); //try again with another connection
+    });
+}
+
+//keeps this.waiting ordered by priority, highest first, and in order of arrival within a priority
+function enqueue(waiter) {
+    let i = this.waiting.length;
+    while (i > 0 && this.waiting[i - 1].priority < waiter.priority)
+        i--;
+
+    this.waiting.splice(i, 0, waiter);
+}
+
+//stops the timers and listeners of a waiter that is about to be called back
+function finishWaiting(waiter) {
     if (waiter.timeout) {
         clearTimeout(waiter.timeout);
         waiter.timeout = undefined;
     }
-    this.log('acquired connection ' + pooled.id);
-    waiter.callback(null, pooled.con);
+    if (waiter.onAbort) {
+        waiter.signal.removeEventListener('abort', waiter.onAbort);
+        waiter.onAbort = undefined;
+    }
 }
 
-function setFree(pooled) {
-    pooled.status = FREE;
-    pooled.timeout = setTimeout(() => {
-        this.log('closing idle connection: ' + pooled.id);
-        pooled.con.close();
-    }, this.idleTimeout);
+//connections created with a connection config that has since been updated, or whose credentials are about to expire, are expired too
+function isExpired(pooled) {
+    return (this.maxUses && pooled.uses >= this.maxUses) ||
+        (this.maxLifetime && Date.now() >= pooled.expires) ||
+        (pooled.credentialsExpire && Date.now() >= pooled.credentialsExpire) ||
+        pooled.configVersion !== this.configVersion;
 }
 
-ConnectionPool.prototype.release = function(connection) {
-    if (this.drained) //pool has been drained
-        return;
-
-    const self = this;
-    let i, pooled;
-
-    for (i = self.connections.length - 1; i >= 0; i--) {
-        pooled = self.connections[i];
-
-        if (pooled.con === connection) {
-            //reset connection & release it
-            connection.reset(function (err) {
-                if (!pooled.con) //the connection failed during the reset
-                    return;
-                
-                if (err) { //there is an error, don't reuse the connection, just close it
-                    pooled.con.close();
-                    return;
-                }
-                self.log('connection reset: ' + pooled.id);
+//there are more connections than max, after the pool was resized
+function isSurplus() {
+    return this.connections.length > this.max;
+}
 
-                const waiter = self.waiting.shift();
+//closes FREE connections that have passed maxLifetime. USED ones are closed when they are released.
+function retireExpired() {
+    const connections = this.connections.slice();
 
-                if (waiter !== undefined) {
-                    setUsed.call(self, pooled, waiter);
-                    //if (waiter.timeout)
-                    //    clearTimeout(waiter.timeout);
-                    //waiter.callback(null, connection);
-                } else {
-                    setFree.call(self, pooled);
-                }
-            });
+    for (let i = 0; i < connections.length; i++) {
+        const pooled = connections[i];
 
-            return;
+        if (pooled.status === FREE && isExpired.call(this, pooled)) {
+            this.log('connection retired: ' + pooled.id);
+            destroy.call(this, pooled, true);
         }
     }
-};
-
-ConnectionPool.prototype.drain = async function (callback) {
-    this.log('draining pool');
-    if (this.drained) {//pool has been drained
-        if (callback)
-            callback();
-        return;
-    }
+}
 
-    // Flag as drained as this prevent others from acquiring new connections from the pool.
-    this.drained = true;
+function selectOne(connection) {
+    return new Promise((resolve, reject) => {
+        connection.execSql(new Request('SELECT 1', (err) => {
+            if (err)
+                reject(err);
+            else
+                resolve();
+        }));
+    });
+}
 
-    for (let i = this.waiting.length - 1; i >= 0; i--) {
-        const waiter = this.waiting[i];
+//checks a FREE connection, which is reserved while the check runs. Connections that fail are destroyed.
+function validate(pooled, callback) {
+    const connection = pooled.con;
 
-        if (waiter.timeout)
-            clearTimeout(waiter.timeout);
+    pooled.status = USED;
+    if (pooled.timeout) {
+        clearTimeout(pooled.timeout);
+        pooled.timeout = undefined;
     }
 
-    this.waiting.length = 0;
+    Promise.resolve()
+        .then(() => this.validator(connection))
+        .then((result) => result !== false, (err) => {
+            this.log('connection validation error: ' + (err && err.message));
+            return false;
+        })
+        .then((valid) => {
+            if (this.drained) { //pool has been drained
+                callback(false);
+                return;
+            }
 
-    const eventTotal = this.connections.length;
-    let eventCount = 0;
+            if (this.draining) { //it is removed from the pool once it has ended, so drain() waits for it
+                closeConnection(pooled);
+                callback(false);
+                return;
+            }
 
-    if (eventTotal === 0 && callback)
-        callback();
+            if (valid && pooled.con === connection) {
+                callback(true);
+                return;
+            }
 
-    const ended = function() {
-        if (++eventCount === eventTotal && callback)
-            callback();
-    };
+            this.log('connection failed validation: ' + pooled.id);
+            destroy.call(this, pooled);
+            callback(false);
+        });
+}
 
-    for (let i = this.connections.length - 1; i >= 0; i--) {
-        const pooled = this.connections[i];
+function validateIdle() {
+    if (this.drained) //pool has been drained
+        return;
 
-        if (pooled.timeout)
-            clearTimeout(pooled.timeout);
+    const now = Date.now();
+    const connections = this.connections.slice();
 
-        if (pooled.con) {
-            if (pooled.con.request) {
-                pooled.con.request.cancel();
+    for (let i = 0; i < connections.length; i++) {
+        const pooled = connections[i];
 
-                // Make sure no requests are running before closing the connection.
-                while (pooled.con.request) {
-                    await new Promise(done => setTimeout(done, 100));
-                }
-            }
-            pooled.con.on('end', ended);
-            pooled.con.close();
-        } else {
-            ended();
-        }
+        if (pooled.status !== FREE || now - pooled.idleSince < this.validationInterval)
+            continue;
+
+        const idleSince = pooled.idleSince;
+        validate.call(this, pooled, (valid) => {
+            if (!valid)
+                return;
+
+            const waiter = this.waiting.shift();
+            if (waiter === undefined)
+                setFree.call(this, pooled, idleSince);
+            else if (pooled.dirty)
+                assignDirty.call(this, pooled, waiter);
+            else
+                setUsed.call(this, pooled, waiter);
+        });
     }
+}
 
-    this.connections = null;
-};
+function setUsed(pooled, waiter) {
+    pooled.status = USED;
+    pooled.uses++;
+    if (pooled.timeout) {
+        clearTimeout(pooled.timeout);
+        pooled.timeout = undefined;
+    }
+    finishWaiting(waiter);
+    if (this.leakDetectionThreshold || this.forceReleaseAfter)
+        watchLeak.call(this, pooled, waiter.stack);
+
+    const wait = Date.now() - waiter.start;
+    if (this.acquireWaits.length === ACQUIRE_WAIT_SAMPLES)
+        this.acquireWaits.shift();
+    this.acquireWaits.push(wait);
+    this.counters.acquire++;
+
+    this.log('acquired connection ' + pooled.id);
+    this.emit('acquire', pooled.con, wait);
+    waiter.callback(null, pooled.con);
+}
+
+function watchLeak(pooled, stack) {
+    const acquired = Date.now();
+
+    if (this.leakDetectionThreshold) {
+        pooled.leakTimeout = setTimeout(() => {
+            pooled.leakTimeout = undefined;
+            this.log('connection held longer than ' + this.leakDetectionThreshold + 'ms: ' + pooled.id);
+            this.emit('leak', {
+                id: pooled.id,
+                connection: pooled.con,
+                acquired: acquired,
+                stack: stack
+            });
+        }, this.leakDetectionThreshold);
+    }
+
+    if (this.forceReleaseAfter) {
+        pooled.forceReleaseTimeout = setTimeout(() => {
+            pooled.forceReleaseTimeout = undefined;
+            this.log('connection destroyed because it was not released: ' + pooled.id);
+            destroy.call(this, pooled);
+        }, this.forceReleaseAfter);
+    }
+}
+
+function clearLeakTimeouts(pooled) {
+    if (pooled.leakTimeout) {
+        clearTimeout(pooled.leakTimeout);
+        pooled.leakTimeout = undefined;
+    }
+    if (pooled.forceReleaseTimeout) {
+        clearTimeout(pooled.forceReleaseTimeout);
+        pooled.forceReleaseTimeout = undefined;
+    }
+}
+
+//removes the connection from the pool, closes it and creates a replacement.
+//A graceful close, of a healthy connection, unprepares its prepared statements first.
+function destroy(pooled, graceful) {
+    const i = this.connections.indexOf(pooled);
+    if (i === -1) //already removed
+        return;
+
+    this.connections.splice(i, 1);
+
+    pooled.destroyed = true;
+    this.counters.destroy++;
+    this.emit('destroy', pooled.con);
+    if (pooled.timeout) {
+        clearTimeout(pooled.timeout);
+        pooled.timeout = undefined;
+    }
+    clearLeakTimeouts(pooled);
+
+    if (pooled.con) {
+        if (graceful)
+            closeConnection(pooled);
+        else
+            pooled.con.close();
+    }
+
+    fill.call(this);
+}
+
+//unprepares the statements prepared on the connection, then closes it
+function closeConnection(pooled) {
+    const connection = pooled.con;
+    const statements = pooled.statements;
+    pooled.statements = undefined;
+
+    if (!statements || !statements.size) {
+        connection.close();
+        return;
+    }
+
+    if (pooled.status === FREE) //it must not be acquired while the statements are unprepared
+        pooled.status = PENDING;
+
+    let done = Promise.resolve();
+    statements.forEach((entry) => {
+        done = done
+            .then(() => entry.ready)
+            .then(() => runPrepared(connection, entry, 'unprepare'))
+            .catch(() => {}); //the server frees them anyway once the connection is closed
+    });
+    done.then(() => connection.close());
+}
+
+//idleSince is passed when a connection is returned after a background validation, so it still times out on schedule
+function setFree(pooled, idleSince) {
+    if (this.draining) {
+        this.log('connection closing because pool is draining: ' + pooled.id);
+        closeConnection(pooled);
+        return;
+    }
+
+    if (isSurplus.call(this)) {
+        this.log('connection closing because pool was resized: ' + pooled.id);
+        destroy.call(this, pooled, true);
+        return;
+    }
+
+    pooled.status = FREE;
+    pooled.idleSince = idleSince || Date.now();
+    startIdleTimeout.call(this, pooled);
+}
+
+function startIdleTimeout(pooled) {
+    const idle = this.idleTimeout - (Date.now() - pooled.idleSince);
+
+    //replaced when its credentials are about to expire, so acquire() does not wait for a new connection then
+    if (pooled.credentialsExpire && pooled.credentialsExpire - Date.now() < idle) {
+        pooled.timeout = setTimeout(() => {
+            this.log('connection retired because its credentials expire: ' + pooled.id);
+            destroy.call(this, pooled, true);
+        }, Math.max(0, pooled.credentialsExpire - Date.now()));
+        return;
+    }
+
+    pooled.timeout = setTimeout(() => {
+        this.log('closing idle connection: ' + pooled.id);
+        closeConnection(pooled);
+    }, Math.max(0, idle));
+}
+
+//resolves once the reset has finished, whether or not the connection could be reused
+//resets the connection, clears the session context set by acquire(), then calls onReset.
+//If any of them fails the connection must be closed, so the state never reaches the next caller of acquire().
+//Without a reset, only the session context is cleared.
+function resetConnection(pooled, connection, reset, callback) {
+    const keys = pooled.sessionContextKeys;
+    pooled.sessionContextKeys = undefined;
+
+    Promise.resolve()
+        .then(() => {
+            if (reset) {
+                return new Promise((resolve, reject) => {
+                    connection.reset((err) => {
+                        if (err)
+                            reject(err);
+                        else
+                            resolve();
+                    });
+                });
+            }
+        })
+        .then(() => {
+            if (keys && keys.length) {
+                const context = {};
+                keys.forEach(key => context[key] = null);
+                return setSessionContext(connection, context);
+            }
+        })
+        .then(() => {
+            //the reset clears session state, so it is set up again before the connection is reused
+            if (reset && this.onReset)
+                return this.onReset(connection);
+        })
+        .then(() => callback(), (err) => callback(err || new Error('Connection hook failed')));
+}
+
+ConnectionPool.prototype.release = function(connection, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    const released = releaseConnection.call(this, connection, options || {});
+
+    //only a callback is given the ConnectionResetError, so a release without one never fails. The 'resetError' event reports it too.
+    if (!callback)
+        return released.then(() => {});
+
+    released.then(err => callback(err || null));
+};
+
+//resolves once the connection can be reused, or with a ConnectionResetError once it has been closed instead
+function releaseConnection(connection, options) {
+    if (this.drained) //pool has been drained, the connection is closed already
+        return Promise.resolve();
+
+    const self = this;
+    let i, pooled;
+
+    for (i = self.connections.length - 1; i >= 0; i--) {
+        pooled = self.connections[i];
+
+        if (pooled.con === connection) {
+            clearLeakTimeouts(pooled);
+            self.counters.release++;
+            self.emit('release', connection);
+
+            //an open transaction is always rolled back by a reset
+            let reset = options.reset !== undefined ? options.reset : self.resetOnRelease;
+            if (connection.inTransaction) {
+                self.log('connection released with an open transaction: ' + pooled.id);
+                self.emit('openTransaction', connection);
+                reset = true;
+            }
+
+            if (self.draining) { //close it instead of resetting it
+                self.log('connection closing because pool is draining: ' + pooled.id);
+                closeConnection(pooled);
+                return Promise.resolve();
+            }
+
+            if (isExpired.call(self, pooled) || isSurplus.call(self)) { //close it instead of resetting it
+                self.log('connection retired: ' + pooled.id);
+                destroy.call(self, pooled, true);
+                return Promise.resolve();
+            }
+
+            if (reset === 'lazy' && self.waiting.length === 0) { //reset when it is next acquired, if ever
+                pooled.dirty = true;
+                setFree.call(self, pooled);
+                return Promise.resolve();
+            }
+
+            return new Promise(function (resolve) {
+                resetConnection.call(self, pooled, connection, reset !== false, function (err) {
+                    if (err && !self.drained) //drain() closing the connection is not a failure of the release
+                        resolve(resetFailed.call(self, connection, err));
+                    else
+                        resolve();
+
+                    if (!pooled.con || pooled.con !== connection) //the connection failed during the reset
+                        return;
+
+                    if (err) { //there is an error, don't reuse the connection, just close it
+                        self.log('connection reset failed: ' + pooled.id);
+                        pooled.con.close();
+                        return;
+                    }
+                    self.log('connection released: ' + pooled.id);
+
+                    const waiter = self.waiting.shift();
+
+                    if (waiter !== undefined) {
+                        setUsed.call(self, pooled, waiter);
+                        //if (waiter.timeout)
+                        //    clearTimeout(waiter.timeout);
+                        //waiter.callback(null, connection);
+                    } else {
+                        setFree.call(self, pooled);
+                    }
+                });
+            });
+        }
+    }
+
+    return Promise.resolve();
+}
+
+function resetFailed(connection, cause) {
+    const err = new errors.ConnectionResetError(cause);
+
+    this.counters.resetError++;
+    this.emit('resetError', err, connection);
+    return err;
+}
+
+//removes the connection from the pool instead of returning it
+ConnectionPool.prototype.destroy = function (connection) {
+    if (this.drained) //pool has been drained
+        return;
+
+    const pooled = getPooled.call(this, connection);
+    if (pooled === undefined)
+        return;
+
+    this.log('connection destroyed: ' + pooled.id);
+    destroy.call(this, pooled);
+};
+
+function percentile(sorted, p) {
+    if (sorted.length === 0)
+        return 0;
+
+    return sorted[Math.max(0, Math.ceil(sorted.length * p / 100) - 1)];
+}
+
+ConnectionPool.prototype.stats = function () {
+    const stats = {
+        total: 0,
+        pending: 0,
+        free: 0,
+        used: 0,
+        retrying: 0,
+        waiting: this.waiting.length,
+        counters: Object.assign({}, this.counters),
+        acquireWait: {}
+    };
+
+    const connections = this.connections || []; //null once the pool has been drained
+    for (let i = 0; i < connections.length; i++) {
+        stats.total++;
+
+        switch (connections[i].status) {
+            case PENDING: stats.pending++; break;
+            case FREE: stats.free++; break;
+            case USED: stats.used++; break;
+            case RETRY: stats.retrying++; break;
+        }
+    }
+
+    const waits = this.acquireWaits.slice().sort((a, b) => a - b);
+    stats.acquireWait.p50 = percentile(waits, 50);
+    stats.acquireWait.p90 = percentile(waits, 90);
+    stats.acquireWait.p99 = percentile(waits, 99);
+    stats.acquireWait.max = percentile(waits, 100);
+
+    return stats;
+};
+
+function connectedCount() {
+    const connections = this.connections || []; //null once the pool has been drained
+    return connections.filter(pooled => pooled.status === FREE || pooled.status === USED).length;
+}
+
+//resolves once min connections are open. The connection errors seen while waiting are aggregated in the PoolNotReadyError
+ConnectionPool.prototype.ready = function (options) {
+    options = options || {};
+    const timeout = options.timeout !== undefined ? options.timeout : this.acquireTimeout;
+
+    return new Promise((resolve, reject) => {
+        if (this.drained || this.draining) {
+            reject(this.drained ? new errors.PoolDrainedError() : new errors.PoolDrainingError());
+            return;
+        }
+
+        if (connectedCount.call(this) >= this.min) {
+            resolve();
+            return;
+        }
+
+        const connectErrors = [];
+        let timer;
+
+        const done = (err) => {
+            clearTimeout(timer);
+            this.removeListener('create', onCreate);
+            this.removeListener('error', onError);
+            this.removeListener('drained', onDrained);
+
+            if (err)
+                reject(err);
+            else
+                resolve();
+        };
+
+        //'create' is emitted before the connection is made FREE or handed to a waiter
+        const onCreate = () => process.nextTick(() => {
+            if (connectedCount.call(this) >= this.min)
+                done();
+        });
+        const onError = (err) => connectErrors.push(err);
+        const onDrained = () => done(new errors.PoolDrainedError());
+
+        this.on('create', onCreate);
+        this.on('error', onError);
+        this.on('drained', onDrained);
+
+        if (timeout)
+            timer = setTimeout(() => done(new errors.PoolNotReadyError(connectErrors)), timeout);
+    });
+};
+
+//acquires a connection and runs a probe on it. Failures are reported in the result rather than rejected
+ConnectionPool.prototype.healthCheck = async function (options) {
+    options = options || {};
+    const probe = options.probe || selectOne;
+
+    const result = {
+        healthy: false,
+        acquireTime: undefined,
+        latency: undefined
+    };
+
+    const start = Date.now();
+    try {
+        const connection = await this.acquire(options.timeout !== undefined ? {acquireTimeout: options.timeout} : {});
+        result.acquireTime = Date.now() - start;
+
+        const probeStart = Date.now();
+        try {
+            await probe(connection);
+        } catch (err) {
+            if (isConnectionError(err)) //don't reuse the connection
+                connection.destroy();
+            else
+                await connection.release();
+            throw err;
+        }
+        result.latency = Date.now() - probeStart;
+
+        await new Promise((resolve, reject) => { //the callback is given a failed reset
+            connection.release((err) => {
+                if (err)
+                    reject(err);
+                else
+                    resolve();
+            });
+        });
+        result.healthy = true;
+    } catch (err) {
+        result.error = err;
+    }
+
+    result.stats = this.stats();
+    return result;
+};
+
+//surplus FREE connections are closed now, USED ones when they are released
+ConnectionPool.prototype.resize = function (options) {
+    const max = options.max !== undefined ? options.max : this.max;
+    const min = options.min !== undefined ? options.min : this.min;
+
+    if (!(max >= 1))
+        throw new TypeError('max must be at least 1');
+    if (!(min >= 0))
+        throw new TypeError('min must not be negative');
+
+    this.max = max;
+    this.min = Math.min(max, min);
+    this.log('pool resized to min ' + this.min + ', max ' + this.max);
+
+    if (this.drained || this.draining) //pool has been drained
+        return;
+
+    const connections = this.connections.slice();
+    for (let i = 0; i < connections.length && isSurplus.call(this); i++) {
+        if (connections[i].status === FREE) {
+            this.log('connection closing because pool was resized: ' + connections[i].id);
+            destroy.call(this, connections[i], true);
+        }
+    }
+
+    fill.call(this);
+};
+
+//applies min, max, idleTimeout and acquireTimeout to the running pool
+ConnectionPool.prototype.reconfigure = function (poolConfig) {
+    if (poolConfig.min !== undefined || poolConfig.max !== undefined)
+        this.resize(poolConfig);
+
+    if (poolConfig.acquireTimeout !== undefined) //used by the next calls to acquire()
+        this.acquireTimeout = poolConfig.acquireTimeout;
+
+    if (poolConfig.idleTimeout !== undefined) {
+        this.idleTimeout = poolConfig.idleTimeout;
+
+        if (this.drained) //pool has been drained
+            return;
+
+        for (let i = 0; i < this.connections.length; i++) {
+            const pooled = this.connections[i];
+
+            if (pooled.status === FREE) {
+                clearTimeout(pooled.timeout);
+                startIdleTimeout.call(this, pooled);
+            }
+        }
+    }
+};
+
+//new connections use the new config, the existing ones are recycled as they are released or next acquired
+ConnectionPool.prototype.updateConnectionConfig = function (connectionConfig) {
+    this.connectionConfig = connectionConfig;
+    this.configVersion++;
+    this.log('connection config updated');
+};
+
+//errors that leave the connection itself unusable, rather than just failing a request
+function isConnectionError(err) {
+    return !!err && ((ConnectionError && err instanceof ConnectionError) || err.name === 'ConnectionError');
+}
+
+ConnectionPool.prototype.use = async function (fn) {
+    const connection = await this.acquire();
+    let result;
+
+    try {
+        result = await fn(connection);
+    } catch (err) {
+        if (isConnectionError(err)) { //don't reuse the connection
+            connection.destroy();
+        } else {
+            await connection.release();
+        }
+        throw err;
+    }
+
+    await connection.release();
+    return result;
+};
+
+//calls one of the tedious transaction methods, which take the callback as their first argument
+function transactionCall(connection, method, name, isolationLevel) {
+    return new Promise((resolve, reject) => {
+        connection[method]((err) => {
+            if (err)
+                reject(err);
+            else
+                resolve();
+        }, name, isolationLevel);
+    });
+}
+
+ConnectionPool.prototype.transaction = function (isolationLevel, fn) {
+    if (typeof isolationLevel === 'function') {
+        fn = isolationLevel;
+        isolationLevel = undefined;
+    }
+
+    return this.use(async (connection) => {
+        await transactionCall(connection, 'beginTransaction', '', isolationLevel);
+
+        let result;
+        try {
+            result = await fn(connection);
+            await transactionCall(connection, 'commitTransaction', '');
+        } catch (err) {
+            //the server may already have rolled back, or the connection may be gone
+            if (!isConnectionError(err) && connection.inTransaction) {
+                try {
+                    await transactionCall(connection, 'rollbackTransaction', '');
+                } catch (rollbackErr) {
+                    this.log('transaction rollback failed: ' + rollbackErr.message);
+                }
+            }
+            throw err;
+        }
+
+        return result;
+    });
+};
+
+//params are {name: value}, with the type inferred from the value, or {name: {type, value, options, output}}
+function addParameters(request, params) {
+    if (!params)
+        return;
+
+    Object.keys(params).forEach((name) => {
+        const param = params[name];
+
+        if (param !== null && typeof param === 'object' && param.type && param.type.declaration) {
+            if (param.output)
+                request.addOutputParameter(name, param.type, param.value, param.options);
+            else
+                request.addParameter(name, param.type, param.value, param.options);
+        } else {
+            request.addParameter(name, parameterType(param), param === undefined ? null : param);
+        }
+    });
+}
+
+function rowToObject(columns) {
+    const row = {};
+
+    if (Array.isArray(columns)) {
+        for (let i = 0; i < columns.length; i++)
+            row[columns[i].metadata.colName] = columns[i].value;
+    } else { //the useColumnNames option
+        Object.keys(columns).forEach(name => row[name] = columns[name].value);
+    }
+
+    return row;
+}
+
+//runs the request and collects its rows, output parameters and return value
+function runRequest(connection, method, sql, params) {
+    return new Promise((resolve, reject) => {
+        const result = {
+            rows: [],
+            rowCount: 0
+        };
+
+        const request = new Request(sql, (err, rowCount) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            result.rowCount = rowCount;
+            resolve(result);
+        });
+
+        addParameters(request, params);
+
+        request.on('row', (columns) => {
+            result.rows.push(rowToObject(columns));
+        });
+
+        if (method === 'callProcedure') {
+            result.output = {};
+
+            request.on('returnValue', (name, value) => {
+                result.output[name] = value;
+            });
+
+            request.on('doneProc', (rowCount, more, returnStatus) => {
+                if (returnStatus !== undefined)
+                    result.returnValue = returnStatus;
+            });
+        }
+
+        connection[method](request);
+    });
+}
+
+ConnectionPool.prototype.query = function (sql, params) {
+    return this.use(connection => runRequest(connection, 'execSql', sql, params));
+};
+
+ConnectionPool.prototype.execute = function (procName, params) {
+    return this.use(connection => runRequest(connection, 'callProcedure', procName, params));
+};
+
+//rows are read from the server only as fast as the stream is consumed
+ConnectionPool.prototype.stream = function (sql, params) {
+    let request;
+    let completed = false;
+
+    const stream = new Readable({
+        objectMode: true,
+        read() {
+            if (request)
+                request.resume();
+        },
+        destroy(err, callback) {
+            if (request && !completed) { //the consumer stopped early
+                request.resume(); //a paused request would never read the server's acknowledgement of the cancel
+                request.cancel();
+            }
+            callback(err);
+        }
+    });
+
+    this.acquire((err, connection) => {
+        if (err) {
+            stream.destroy(err);
+            return;
+        }
+
+        if (stream.destroyed) {
+            connection.release();
+            return;
+        }
+
+        request = new Request(sql, (err) => {
+            completed = true;
+
+            if (isConnectionError(err))
+                connection.destroy();
+            else
+                connection.release();
+
+            if (stream.destroyed)
+                return;
+
+            if (err)
+                stream.destroy(err);
+            else
+                stream.push(null);
+        });
+
+        addParameters(request, params);
+
+        request.on('row', (columns) => {
+            if (!stream.destroyed && !stream.push(rowToObject(columns)))
+                request.pause();
+        });
+
+        connection.execSql(request);
+    });
+
+    return stream;
+};
+
+//loads one batch with its own BulkLoad, as tedious can only execute a BulkLoad once
+function execBulkLoad(connection, table, columns, rows, options) {
+    return new Promise((resolve, reject) => {
+        const bulkLoad = connection.newBulkLoad(table, options, (err, rowCount) => {
+            if (err)
+                reject(err);
+            else
+                resolve(rowCount);
+        });
+
+        columns.forEach(column => bulkLoad.addColumn(column.name, column.type, column));
+
+        connection.execBulkLoad(bulkLoad, rows);
+    });
+}
+
+//rows may be any iterable, async iterable or object stream; they are sent in batches of options.batchSize
+ConnectionPool.prototype.bulkLoad = async function (table, columns, rows, options) {
+    options = options || {};
+    const batchSize = options.batchSize || 1000;
+
+    const connection = await this.acquire();
+    let rowCount = 0;
+
+    try {
+        let batch = [];
+
+        for await (const row of rows) {
+            batch.push(row);
+
+            if (batch.length >= batchSize) {
+                rowCount += await execBulkLoad(connection, table, columns, batch, options);
+                batch = [];
+                if (options.onProgress)
+                    options.onProgress(rowCount);
+            }
+        }
+
+        if (batch.length) {
+            rowCount += await execBulkLoad(connection, table, columns, batch, options);
+            if (options.onProgress)
+                options.onProgress(rowCount);
+        }
+    } catch (err) {
+        //a failed bulk load can leave the connection mid-stream, which a reset does not always recover
+        connection.destroy();
+        throw err;
+    }
+
+    await connection.release();
+    return {rowCount};
+};
+
+//sp_execute fails with this error number when the server no longer knows the handle
+const UNKNOWN_PREPARED_HANDLE = 8179;
+
+//a statement prepared on demand on each connection that executes it
+function PreparedStatement(pool, sql, paramDefs) {
+    this.pool = pool;
+    this.sql = sql;
+    this.paramDefs = paramDefs || {};
+}
+
+PreparedStatement.prototype.execute = function (params) {
+    return this.pool.use(connection => executePrepared.call(this.pool, this, connection, params));
+};
+
+//paramDefs are {name: type} or {name: {type, options}}
+ConnectionPool.prototype.prepared = function (sql, paramDefs) {
+    return new PreparedStatement(this, sql, paramDefs);
+};
+
+//the Request is reused for every execution, so its callback hands the result to whoever is waiting for it
+function prepareStatement(connection, statement) {
+    const entry = {};
+
+    entry.request = new Request(statement.sql, (err, rowCount) => {
+        const callback = entry.callback;
+        entry.callback = undefined;
+        if (callback)
+            callback(err, rowCount);
+    });
+
+    Object.keys(statement.paramDefs).forEach((name) => {
+        const def = statement.paramDefs[name];
+
+        if (def.declaration)
+            entry.request.addParameter(name, def);
+        else
+            entry.request.addParameter(name, def.type, undefined, def.options);
+    });
+
+    entry.request.on('row', (columns) => {
+        if (entry.rows)
+            entry.rows.push(rowToObject(columns));
+    });
+
+    entry.ready = new Promise((resolve, reject) => {
+        entry.request.once('prepared', resolve);
+        entry.request.on('error', reject);
+    });
+
+    connection.prepare(entry.request);
+    return entry;
+}
+
+function runPrepared(connection, entry, method, params) {
+    return new Promise((resolve, reject) => {
+        const result = {
+            rows: [],
+            rowCount: 0
+        };
+
+        entry.rows = result.rows;
+        entry.callback = (err, rowCount) => {
+            entry.rows = undefined;
+
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            result.rowCount = rowCount;
+            resolve(result);
+        };
+
+        if (method === 'execute')
+            connection.execute(entry.request, params || {});
+        else
+            connection.unprepare(entry.request);
+    });
+}
+
+//the handles are cached on the pooled entry, so the statement is only prepared once per connection
+async function executePrepared(statement, connection, params, retrying) {
+    const pooled = getPooled.call(this, connection);
+    if (!pooled.statements)
+        pooled.statements = new Map();
+
+    let entry = pooled.statements.get(statement);
+    if (!entry) {
+        entry = prepareStatement(connection, statement);
+        pooled.statements.set(statement, entry);
+    }
+
+    try {
+        await entry.ready;
+    } catch (err) {
+        forgetStatement(pooled, statement, entry);
+        throw err;
+    }
+
+    try {
+        return await runPrepared(connection, entry, 'execute', params);
+    } catch (err) {
+        if (err.number !== UNKNOWN_PREPARED_HANDLE || retrying)
+            throw err;
+
+        forgetStatement(pooled, statement, entry);
+        return executePrepared.call(this, statement, connection, params, true);
+    }
+}
+
+function forgetStatement(pooled, statement, entry) {
+    if (pooled.statements && pooled.statements.get(statement) === entry)
+        pooled.statements.delete(statement);
+}
+
+ConnectionPool.prototype.drain = async function (options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    options = options || {};
+
+    this.log('draining pool');
+
+    if (options.graceful && !this.drained)
+        await drainGracefully.call(this, options.timeout);
+
+    if (!this.drainPromise)
+        this.drainPromise = closeAll.call(this);
+
+    await this.drainPromise;
+
+    if (callback)
+        callback();
+};
+
+//lets USED connections finish, closing each one as it is released, until the timeout
+async function drainGracefully(timeout) {
+    if (!this.draining) {
+        this.draining = true;
+
+        const waiting = this.waiting.splice(0);
+        for (let i = 0; i < waiting.length; i++) {
+            finishWaiting(waiting[i]);
+            waiting[i].callback(new errors.PoolDrainingError());
+        }
+
+        for (let i = this.connections.length - 1; i >= 0; i--) {
+            const pooled = this.connections[i];
+
+            if (pooled.status === FREE) {
+                clearTimeout(pooled.timeout);
+                pooled.timeout = undefined;
+                closeConnection(pooled);
+            }
+        }
+    }
+
+    const deadline = timeout >= 0 ? Date.now() + timeout : Infinity;
+
+    while (!this.drained && Date.now() < deadline &&
+        this.connections.some(pooled => pooled.status === USED)) {
+        await new Promise(done => setTimeout(done, 100));
+    }
+}
+
+async function closeAll() {
+    // Flag as drained as this prevent others from acquiring new connections from the pool.
+    this.drained = true;
+    this.draining = false;
+
+    if (this.validationTimer)
+        clearInterval(this.validationTimer);
+
+    const waiting = this.waiting.splice(0);
+    for (let i = 0; i < waiting.length; i++) {
+        finishWaiting(waiting[i]);
+        waiting[i].callback(new errors.PoolDrainedError());
+    }
+
+    // Every connection is waited on until it has emitted 'end'. The timers are cleared first,
+    // so no connection closes by itself while running requests are waited on.
+    const ended = [];
+    const running = [];
+
+    for (let i = this.connections.length - 1; i >= 0; i--) {
+        const pooled = this.connections[i];
+
+        if (pooled.timeout)
+            clearTimeout(pooled.timeout);
+        clearLeakTimeouts(pooled);
+
+        const connection = pooled.con;
+        if (!connection || connection.closed) //it has ended already, or is about to
+            continue;
+
+        ended.push(new Promise(done => connection.once('end', done)));
+
+        if (connection.request) {
+            connection.request.cancel();
+            running.push(pooled);
+        } else {
+            closeConnection(pooled);
+        }
+    }
+
+    for (let i = 0; i < running.length; i++) {
+        const connection = running[i].con;
+
+        // Make sure no requests are running before closing the connection.
+        while (connection.request) {
+            await new Promise(done => setTimeout(done, 100));
+        }
+        closeConnection(running[i]);
+    }
+
+    this.connections = null;
+
+    await Promise.all(ended);
+
+    this.log('pool drained');
+    this.emit('drained');
+}
+
+ConnectionPool.PoolUnavailableError = errors.PoolUnavailableError;
+ConnectionPool.PoolQueueFullError = errors.PoolQueueFullError;
+ConnectionPool.AbortError = errors.AbortError;
+ConnectionPool.PoolDrainingError = errors.PoolDrainingError;
+ConnectionPool.PoolNotReadyError = errors.PoolNotReadyError;
+ConnectionPool.AcquireTimeoutError = errors.AcquireTimeoutError;
+ConnectionPool.PoolDrainedError = errors.PoolDrainedError;
+ConnectionPool.ConnectionResetError = errors.ConnectionResetError;
+ConnectionPool.ConnectionCreateError = errors.ConnectionCreateError;
 
 module.exports = ConnectionPool;
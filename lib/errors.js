@@ -0,0 +1,105 @@
+'use strict';
+
+//every error has a stable code. The cause, when there is one, is the error that led to it.
+
+//acquire() fails with this while the circuit breaker is open
+class PoolUnavailableError extends Error {
+    constructor(cause) {
+        super('Connection pool unavailable: the server cannot be reached');
+        this.name = 'PoolUnavailableError';
+        this.code = 'EPOOLUNAVAILABLE';
+        this.cause = cause;
+    }
+}
+
+//acquire() fails with this when maxWaitingClients calls are already waiting
+class PoolQueueFullError extends Error {
+    constructor(max) {
+        super('Too many acquire() calls waiting for a connection: ' + max);
+        this.name = 'PoolQueueFullError';
+        this.code = 'EQUEUEFULL';
+    }
+}
+
+//acquire() fails with this when its AbortSignal is aborted while waiting
+class AbortError extends Error {
+    constructor(reason) {
+        super('acquire() was aborted');
+        this.name = 'AbortError';
+        this.code = 'EABORT';
+        this.cause = reason;
+    }
+}
+
+//acquire() fails with this while the pool is draining gracefully
+class PoolDrainingError extends Error {
+    constructor() {
+        super('Connection pool is draining');
+        this.name = 'PoolDrainingError';
+        this.code = 'EPOOLDRAINING';
+    }
+}
+
+//ready() fails with this when min connections could not be opened in time. errors has the connection errors seen while waiting
+class PoolNotReadyError extends Error {
+    constructor(errors) {
+        super(errors.length
+            ? 'Connection pool not ready: ' + errors[errors.length - 1].message
+            : 'Connection pool not ready: timed out');
+        this.name = 'PoolNotReadyError';
+        this.code = 'EPOOLNOTREADY';
+        this.errors = errors;
+        this.cause = errors[errors.length - 1];
+    }
+}
+
+//acquire() fails with this when no connection came available within acquireTimeout
+class AcquireTimeoutError extends Error {
+    constructor(timeout) {
+        super('Acquire Timeout Exceeded');
+        this.name = 'AcquireTimeoutError';
+        this.code = 'EACQUIRETIMEOUT';
+        this.timeout = timeout;
+    }
+}
+
+//calls made after drain(), and calls still waiting for a connection when it is called, fail with this
+class PoolDrainedError extends Error {
+    constructor() {
+        super('Connection pool has been drained');
+        this.name = 'PoolDrainedError';
+        this.code = 'EPOOLDRAINED';
+    }
+}
+
+//the release() callback and the 'resetError' event get this when the connection could not be reset. The connection is closed instead of being reused
+class ConnectionResetError extends Error {
+    constructor(cause) {
+        super('Connection reset failed' + (cause && cause.message ? ': ' + cause.message : ''));
+        this.name = 'ConnectionResetError';
+        this.code = 'ECONNRESETFAILED';
+        this.cause = cause;
+    }
+}
+
+//emitted as an 'error' event when a new connection fails to connect, or its onConnect hook or connectionConfig factory fails
+class ConnectionCreateError extends Error {
+    constructor(cause) {
+        super('Connection could not be created' + (cause && cause.message ? ': ' + cause.message : ''));
+        this.name = 'ConnectionCreateError';
+        this.code = 'ECONNCREATE';
+        this.cause = cause;
+    }
+}
+
+module.exports = {
+    PoolUnavailableError: PoolUnavailableError,
+    PoolQueueFullError: PoolQueueFullError,
+    AbortError: AbortError,
+    PoolDrainingError: PoolDrainingError,
+    PoolNotReadyError: PoolNotReadyError,
+    AcquireTimeoutError: AcquireTimeoutError,
+    PoolDrainedError: PoolDrainedError,
+    ConnectionResetError: ConnectionResetError,
+    ConnectionCreateError: ConnectionCreateError
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+//acquire() wait buckets, in seconds
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const STATES = ['pending', 'free', 'used', 'retrying'];
+
+const COUNTERS = [
+    ['acquire', 'acquires_total', 'Connections acquired from the pool.'],
+    ['release', 'releases_total', 'Connections released back to the pool.'],
+    ['create', 'connections_created_total', 'Connections created.'],
+    ['destroy', 'connections_destroyed_total', 'Connections closed and removed from the pool.'],
+    ['timeout', 'acquire_timeouts_total', 'acquire() calls that exceeded acquireTimeout.'],
+    ['error', 'connection_errors_total', 'Connection errors.'],
+    ['retry', 'connection_retries_total', 'Connection attempts retried after an error.'],
+    ['resetError', 'reset_errors_total', 'Connections closed because the reset on release() failed.']
+];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0)
+        return '';
+
+    return '{' + names.map(name => name + '="' + escapeLabel(labels[name]) + '"').join(',') + '}';
+}
+
+function formatNumber(value) {
+    if (value === Infinity)
+        return '+Inf';
+
+    return String(value);
+}
+
+//returns a function that returns the pool's metrics in the Prometheus text format
+function metrics(pool, options) {
+    options = options || {};
+
+    const prefix = options.prefix !== undefined ? options.prefix : 'tedious_pool_';
+    const labels = options.labels || {};
+    const buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+
+    //the pool only keeps recent samples, so the histogram is accumulated here
+    const histogram = {
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+    };
+
+    pool.on('acquire', (connection, wait) => {
+        const seconds = wait / 1000;
+
+        for (let i = 0; i < buckets.length; i++) {
+            if (seconds <= buckets[i])
+                histogram.counts[i]++;
+        }
+        histogram.sum += seconds;
+        histogram.count++;
+    });
+
+    return function () {
+        const stats = pool.stats();
+        const lines = [];
+
+        const header = (name, type, help) => {
+            lines.push('# HELP ' + prefix + name + ' ' + help);
+            lines.push('# TYPE ' + prefix + name + ' ' + type);
+        };
+
+        const sample = (name, extraLabels, value) => {
+            lines.push(prefix + name + formatLabels(Object.assign({}, labels, extraLabels)) + ' ' + formatNumber(value));
+        };
+
+        header('connections', 'gauge', 'Connections in the pool, by state.');
+        for (let i = 0; i < STATES.length; i++)
+            sample('connections', {state: STATES[i]}, stats[STATES[i]]);
+
+        header('waiting', 'gauge', 'acquire() calls waiting for a connection.');
+        sample('waiting', {}, stats.waiting);
+
+        header('acquire_duration_seconds', 'histogram', 'Time acquire() calls waited for a connection.');
+        for (let i = 0; i < buckets.length; i++)
+            sample('acquire_duration_seconds_bucket', {le: formatNumber(buckets[i])}, histogram.counts[i]);
+        sample('acquire_duration_seconds_bucket', {le: '+Inf'}, histogram.count);
+        sample('acquire_duration_seconds_sum', {}, histogram.sum);
+        sample('acquire_duration_seconds_count', {}, histogram.count);
+
+        for (let i = 0; i < COUNTERS.length; i++) {
+            const counter = COUNTERS[i];
+
+            header(counter[1], 'counter', counter[2]);
+            sample(counter[1], {}, stats.counters[counter[0]]);
+        }
+
+        return lines.join('\n') + '\n';
+    };
+}
+
+module.exports = metrics;
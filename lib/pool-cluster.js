@@ -0,0 +1,95 @@
+'use strict';
+const ConnectionPool = require('./connection-pool');
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+
+function PoolCluster(clusterConfig) {
+    this.selector = clusterConfig.selector || 'round-robin';
+    if (this.selector !== 'round-robin' && this.selector !== 'least-busy')
+        throw new TypeError('selector must be \'round-robin\' or \'least-busy\'');
+
+    this.unhealthyThreshold = clusterConfig.unhealthyThreshold || 3;
+
+    this.primary = createNode.call(this, 'primary', clusterConfig.poolConfig, clusterConfig.primary);
+    this.replicas = (clusterConfig.replicas || []).map((connectionConfig) =>
+        createNode.call(this, 'replica', clusterConfig.poolConfig, connectionConfig));
+
+    this.next = -1; //round-robin position among the healthy replicas
+}
+
+util.inherits(PoolCluster, EventEmitter);
+
+function createNode(role, poolConfig, connectionConfig) {
+    const node = {
+        role: role,
+        server: connectionConfig.server,
+        pool: new ConnectionPool(Object.assign({}, poolConfig), connectionConfig),
+        healthy: true,
+        errors: 0 //consecutive connection errors
+    };
+
+    node.pool.on('error', (err) => {
+        node.errors++;
+        if (node.healthy && node.errors >= this.unhealthyThreshold) {
+            node.healthy = false;
+            this.emit('unhealthy', node, err);
+        }
+        this.emit('error', err, node);
+    });
+
+    //the pool keeps retrying in the background, so the first successful connection restores the node
+    node.pool.on('create', () => {
+        node.errors = 0;
+        if (!node.healthy) {
+            node.healthy = true;
+            this.emit('healthy', node);
+        }
+    });
+
+    return node;
+}
+
+function busy(node) {
+    const stats = node.pool.stats();
+    return stats.used + stats.waiting;
+}
+
+function selectReplica() {
+    const healthy = this.replicas.filter(node => node.healthy);
+
+    if (healthy.length === 0)
+        return undefined;
+
+    if (this.selector === 'least-busy') {
+        let selected = healthy[0];
+        for (let i = 1; i < healthy.length; i++) {
+            if (busy(healthy[i]) < busy(selected))
+                selected = healthy[i];
+        }
+        return selected;
+    }
+
+    this.next = (this.next + 1) % healthy.length;
+    return healthy[this.next % healthy.length];
+}
+
+PoolCluster.prototype.acquireWrite = function (options, callback) {
+    return this.primary.pool.acquire(options, callback);
+};
+
+//falls back to the primary when no replica is healthy
+PoolCluster.prototype.acquireRead = function (options, callback) {
+    const node = selectReplica.call(this) || this.primary;
+    return node.pool.acquire(options, callback);
+};
+
+PoolCluster.prototype.drain = async function (callback) {
+    const nodes = [this.primary].concat(this.replicas);
+
+    await Promise.all(nodes.map(node => node.pool.drain()));
+
+    if (callback)
+        callback();
+};
+
+module.exports = PoolCluster;
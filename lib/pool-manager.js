@@ -0,0 +1,215 @@
+'use strict';
+const ConnectionPool = require('./connection-pool');
+const errors = require('./errors');
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+
+function PoolManager(managerConfig) {
+    if (typeof managerConfig.factory !== 'function')
+        throw new TypeError('factory must be a function');
+
+    this.factory = managerConfig.factory;
+
+    this.maxConnections = managerConfig.maxConnections || Infinity;
+
+    this.maxPools = managerConfig.maxPools || Infinity;
+
+    this.pools = new Map(); //key -> entry, least recently used first
+    this.waiting = []; //acquire() calls waiting for maxConnections to allow another connection
+    this.drained = false;
+}
+
+util.inherits(PoolManager, EventEmitter);
+
+function getEntry(key) {
+    let entry = this.pools.get(key);
+
+    if (entry) { //move it to the end, as the most recently used
+        this.pools.delete(key);
+        this.pools.set(key, entry);
+        return entry;
+    }
+
+    const config = this.factory(key);
+    const poolConfig = config.poolConfig || {};
+    //min is applied by tryAcquire(), within what maxConnections allows
+    const pool = new ConnectionPool(Object.assign({}, poolConfig, {min: 0}), config.connectionConfig);
+
+    entry = {
+        key: key,
+        pool: pool,
+        min: Math.min(pool.max, poolConfig.min || 0),
+        max: pool.max //the configured min and max, the pool's are lowered to keep within maxConnections
+    };
+
+    pool.on('error', (err) => {
+        this.emit('error', err, key);
+    });
+
+    pool.on('destroy', () => {
+        //the slot goes to a waiting call, so the pool must not reopen the connection to get back to min
+        if (this.waiting.length && !pool.drained && pool.min > pool.connections.length)
+            pool.resize({min: pool.connections.length});
+
+        processWaiting.call(this);
+    });
+
+    this.pools.set(key, entry);
+
+    if (this.pools.size > this.maxPools)
+        evictIdle.call(this, entry, () => this.pools.size <= this.maxPools);
+
+    return entry;
+}
+
+function isIdle(pool) {
+    const stats = pool.stats();
+    return stats.used === 0 && stats.waiting === 0;
+}
+
+//drains idle pools, least recently used first, until done() returns true
+function evictIdle(except, done) {
+    const entries = Array.from(this.pools.values());
+
+    for (let i = 0; i < entries.length && !done(); i++) {
+        const entry = entries[i];
+
+        if (entry === except || !isIdle(entry.pool))
+            continue;
+
+        this.pools.delete(entry.key);
+        entry.pool.drain();
+        this.emit('evict', entry.key);
+    }
+}
+
+function totalConnections() {
+    let total = 0;
+
+    this.pools.forEach((entry) => {
+        if (!entry.pool.drained)
+            total += entry.pool.connections.length;
+    });
+
+    return total;
+}
+
+//hands the request to its pool if maxConnections allows it. Returns false if it has to wait.
+function tryAcquire(request) {
+    const entry = getEntry.call(this, request.key);
+    const pool = entry.pool;
+    const stats = pool.stats();
+    const available = () => this.maxConnections - totalConnections.call(this);
+
+    if (stats.free === 0 && available() <= 0)
+        evictIdle.call(this, entry, () => available() > 0);
+
+    //the pool can use the connections it has, plus what is left of maxConnections
+    const max = Math.min(entry.max, stats.total + Math.max(0, available()));
+    if (max === 0)
+        return false;
+
+    const min = Math.min(entry.min, max); //fill() opens min connections, whatever max is
+    if (pool.min !== min || pool.max !== max)
+        pool.resize({min: min, max: max});
+
+    pool.acquire(request.options, request.callback);
+    return true;
+}
+
+function processWaiting() {
+    if (this.drained)
+        return;
+
+    const waiting = this.waiting.splice(0);
+    for (let i = 0; i < waiting.length; i++) {
+        const request = waiting[i];
+
+        if (tryAcquire.call(this, request))
+            clearTimeout(request.timeout);
+        else
+            this.waiting.push(request);
+    }
+
+    if (this.waiting.length === 0 && this.waitingTimer) {
+        clearInterval(this.waitingTimer);
+        this.waitingTimer = undefined;
+    }
+}
+
+PoolManager.prototype.acquire = function (key, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    options = options || {};
+
+    if (!callback) {
+        return new Promise((resolve, reject) => {
+            this.acquire(key, options, (err, connection) => {
+                if (err)
+                    reject(err);
+                else
+                    resolve(connection);
+            });
+        });
+    }
+
+    if (this.drained) { //manager has been drained
+        callback(new errors.PoolDrainedError());
+        return;
+    }
+
+    const request = {
+        key: key,
+        options: options,
+        callback: callback
+    };
+
+    if (tryAcquire.call(this, request))
+        return;
+
+    const pool = this.pools.get(key).pool;
+    const acquireTimeout = options.acquireTimeout !== undefined ? options.acquireTimeout : pool.acquireTimeout;
+
+    if (acquireTimeout) {
+        request.timeout = setTimeout(() => {
+            const i = this.waiting.indexOf(request);
+
+            if (i !== -1) {
+                this.waiting.splice(i, 1);
+                callback(new errors.AcquireTimeoutError(acquireTimeout));
+                processWaiting.call(this);
+            }
+        }, acquireTimeout);
+    }
+
+    this.waiting.push(request);
+
+    //pools become idle, and can be evicted, when their connections have been released and reset
+    if (!this.waitingTimer)
+        this.waitingTimer = setInterval(processWaiting.bind(this), 100);
+};
+
+PoolManager.prototype.drain = async function (callback) {
+    this.drained = true;
+
+    if (this.waitingTimer)
+        clearInterval(this.waitingTimer);
+
+    const waiting = this.waiting.splice(0);
+    for (let i = 0; i < waiting.length; i++) {
+        clearTimeout(waiting[i].timeout);
+        waiting[i].callback(new errors.PoolDrainedError());
+    }
+
+    const entries = Array.from(this.pools.values());
+    this.pools.clear();
+
+    await Promise.all(entries.map(entry => entry.pool.drain()));
+
+    if (callback)
+        callback();
+};
+
+module.exports = PoolManager;
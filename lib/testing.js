@@ -0,0 +1,215 @@
+'use strict';
+const ConnectionError = require('tedious').ConnectionError;
+const RequestError = require('tedious').RequestError;
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+
+//an in-memory stand-in for SQL Server. Pass server.connect as the pool's connectionFactory
+function FakeServer(options) {
+    options = options || {};
+
+    this.latency = options.latency || 0; //milliseconds taken by each connect, reset and request
+    this.handler = options.handler || (() => []);
+    this.connections = []; //every connection created, open or not
+
+    this.connectFailures = []; //errors for the next connection attempts
+    this.resetFailures = [];
+
+    this.connect = (config, callback) => {
+        const connection = new FakeConnection(this, config);
+        this.connections.push(connection);
+
+        if (callback)
+            connection.once('connect', callback);
+
+        const err = this.connectFailures.shift();
+        delay(this.latency, () => {
+            if (err) {
+                connection.emit('connect', err);
+                connection.close();
+            } else {
+                connection.emit('connect');
+            }
+        });
+
+        return connection;
+    };
+}
+
+//the next count connection attempts fail
+FakeServer.prototype.failConnect = function (count, err) {
+    for (let i = 0; i < (count || 1); i++)
+        this.connectFailures.push(err || new ConnectionError('Failed to connect', 'ESOCKET'));
+};
+
+//the next count resets fail
+FakeServer.prototype.failReset = function (count, err) {
+    for (let i = 0; i < (count || 1); i++)
+        this.resetFailures.push(err || new RequestError('Reset failed', 'EREQUEST'));
+};
+
+//the connections that have not been closed
+FakeServer.prototype.openConnections = function () {
+    return this.connections.filter(connection => !connection.closed);
+};
+
+function delay(ms, fn) {
+    if (ms)
+        setTimeout(fn, ms);
+    else
+        setImmediate(fn);
+}
+
+function FakeConnection(server, config) {
+    EventEmitter.call(this);
+
+    this.server = server;
+    this.config = config;
+    this.closed = false;
+    this.inTransaction = false;
+    this.request = undefined; //the request being executed, like tedious
+    this.resets = 0;
+}
+
+util.inherits(FakeConnection, EventEmitter);
+
+//simulates a dropped connection
+FakeConnection.prototype.fail = function (err) {
+    if (this.closed)
+        return;
+
+    this.emit('error', err || new ConnectionError('Connection lost', 'ESOCKET'));
+    this.close();
+};
+
+FakeConnection.prototype.close = function () {
+    if (this.closed)
+        return;
+
+    this.closed = true;
+    if (this.request)
+        completeRequest.call(this, this.request, new RequestError('Connection closed before request completed.', 'ECLOSE'));
+
+    setImmediate(() => this.emit('end'));
+};
+
+FakeConnection.prototype.reset = function (callback) {
+    delay(this.server.latency, () => {
+        if (this.closed) {
+            callback(new ConnectionError('Connection closed', 'ECLOSE'));
+            return;
+        }
+
+        const err = this.server.resetFailures.shift();
+        if (!err) {
+            this.resets++;
+            this.inTransaction = false;
+        }
+        callback(err);
+    });
+};
+
+FakeConnection.prototype.beginTransaction = function (callback) {
+    transactionCall.call(this, true, callback);
+};
+
+FakeConnection.prototype.commitTransaction = function (callback) {
+    transactionCall.call(this, false, callback);
+};
+
+FakeConnection.prototype.rollbackTransaction = function (callback) {
+    transactionCall.call(this, false, callback);
+};
+
+function transactionCall(inTransaction, callback) {
+    delay(this.server.latency, () => {
+        if (this.closed) {
+            callback(new ConnectionError('Connection closed', 'ECLOSE'));
+            return;
+        }
+
+        this.inTransaction = inTransaction;
+        callback(null);
+    });
+}
+
+FakeConnection.prototype.execSql = function (request) {
+    runRequest.call(this, request);
+};
+
+FakeConnection.prototype.callProcedure = function (request) {
+    runRequest.call(this, request);
+};
+
+//the server's handler(sql, parameters, connection) returns, resolves or throws the result:
+//an array of row objects, or {rows, rowCount}
+function runRequest(request) {
+    if (this.closed || this.request) {
+        process.nextTick(() => request.callback(new RequestError('Requests can only be made in the LoggedIn state', 'EINVALIDSTATE')));
+        return;
+    }
+
+    this.request = request;
+
+    const parameters = {};
+    request.parameters.forEach(parameter => parameters[parameter.name] = parameter.value);
+
+    new Promise(resolve => delay(this.server.latency, resolve))
+        .then(() => this.server.handler(request.sqlTextOrProcedure, parameters, this))
+        .then((result) => {
+            const rows = Array.isArray(result) ? result : (result && result.rows) || [];
+            const rowCount = result && result.rowCount !== undefined ? result.rowCount : rows.length;
+            emitRows.call(this, request, rows, rowCount);
+        }, (err) => {
+            completeRequest.call(this, request, err);
+        });
+}
+
+//rows are emitted like tedious does, honoring pause(), resume() and cancel()
+function emitRows(request, rows, rowCount) {
+    let i = 0;
+
+    const next = () => {
+        if (this.request !== request) //completed already, or the connection was closed
+            return;
+
+        for (;;) {
+            if (request.canceled) {
+                completeRequest.call(this, request, new RequestError('Canceled.', 'ECANCEL'));
+                return;
+            }
+
+            if (i >= rows.length)
+                break;
+
+            if (request.paused) {
+                request.once('resume', () => setImmediate(next));
+                request.once('cancel', () => setImmediate(next));
+                return;
+            }
+
+            const row = rows[i++];
+            request.emit('row', Object.keys(row).map(name => ({
+                metadata: {colName: name},
+                value: row[name]
+            })));
+        }
+
+        completeRequest.call(this, request, null, rowCount);
+    };
+
+    next();
+}
+
+function completeRequest(request, err, rowCount) {
+    if (this.request !== request)
+        return;
+
+    this.request = undefined;
+    request.callback(err, rowCount);
+}
+
+module.exports = {
+    FakeServer: FakeServer,
+    FakeConnection: FakeConnection
+};
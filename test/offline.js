@@ -0,0 +1,491 @@
+'use strict';
+var assert = require('assert');
+var ConnectionError = require('tedious').ConnectionError;
+var Request = require('tedious').Request;
+var ConnectionPool = require('../lib/connection-pool');
+var PoolManager = require('../lib/pool-manager');
+var FakeServer = require('../lib/testing').FakeServer;
+
+//these tests use the in-memory FakeServer, so they run without SQL Server
+describe('ConnectionPool with FakeServer', function () {
+    var server;
+
+    beforeEach(function () {
+        server = new FakeServer({
+            handler: function (sql, parameters) {
+                if (sql === 'SELECT @value AS value')
+                    return [{value: parameters.value}];
+                return [];
+            }
+        });
+    });
+
+    function createPool(poolConfig) {
+        return new ConnectionPool(Object.assign({connectionFactory: server.connect}, poolConfig), {server: 'fake'});
+    }
+
+    it('connect and query', function () {
+        var pool = createPool({min: 2, max: 2});
+
+        return pool.query('SELECT @value AS value', {value: 42}).then(function (result) {
+            assert.deepEqual(result.rows, [{value: 42}]);
+            assert.equal(server.connections.length, 2);
+            assert.strictEqual(server.connections[0].config.server, 'fake');
+            return pool.drain();
+        });
+    });
+
+    it('release resets the connection', function () {
+        var pool = createPool({min: 1, max: 1});
+
+        return pool.acquire().then(function (connection) {
+            return connection.release().then(function () {
+                assert.equal(connection.resets, 1);
+                return pool.drain();
+            });
+        });
+    });
+
+    it('retry', function (done) {
+        server.failConnect(2);
+        var pool = createPool({min: 1, max: 1, retryDelay: 10});
+
+        var errors = 0;
+        pool.on('error', function (err) {
+            assert(err instanceof ConnectionPool.ConnectionCreateError);
+            assert(err.cause instanceof ConnectionError);
+            errors++;
+        });
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+            assert.equal(errors, 2);
+            assert.equal(pool.stats().counters.retry, 2);
+            assert.equal(server.connections.length, 3);
+            connection.release();
+            pool.drain(done);
+        });
+    });
+
+    it('connectionFactory throwing is retried', function (done) {
+        var attempts = 0;
+        var pool = createPool({
+            min: 1,
+            max: 1,
+            retryDelay: 10,
+            connectionFactory: function (config, callback) {
+                if (++attempts === 1)
+                    throw new TypeError('The "config.server" property is required and must be of type string.');
+                return server.connect(config, callback);
+            }
+        });
+
+        var errors = [];
+        pool.on('error', function (err) {
+            errors.push(err);
+        });
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+            assert.equal(errors.length, 1);
+            assert(errors[0] instanceof ConnectionPool.ConnectionCreateError);
+            assert(errors[0].cause instanceof TypeError);
+            connection.release();
+            pool.drain(done);
+        });
+    });
+
+    it('connectionConfig factory returning no config is retried', function (done) {
+        var calls = 0;
+        var pool = new ConnectionPool({min: 1, max: 1, retryDelay: 10, connectionFactory: server.connect}, function () {
+            return ++calls === 1 ? undefined : {server: 'fake'};
+        });
+
+        var errors = [];
+        pool.on('error', function (err) {
+            errors.push(err);
+        });
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+            assert.equal(errors.length, 1);
+            assert(errors[0] instanceof ConnectionPool.ConnectionCreateError);
+            assert(errors[0].cause instanceof TypeError);
+            connection.release();
+            pool.drain(done);
+        });
+    });
+
+    it('idle timeout', function (done) {
+        var pool = createPool({min: 0, max: 1, idleTimeout: 20});
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+            connection.release();
+
+            setTimeout(function () {
+                assert(connection.closed);
+                assert.equal(pool.connections.length, 0);
+                pool.drain(done);
+            }, 100);
+        });
+    });
+
+    it('free connections are replaced before their credentials expire', function (done) {
+        var tokens = 0;
+        var pool = new ConnectionPool({min: 1, max: 1, credentialExpiryMargin: 0, connectionFactory: server.connect}, function () {
+            tokens++;
+            return {server: 'fake', expires: Date.now() + (tokens === 1 ? 50 : 60000)};
+        });
+
+        pool.ready().then(function () {
+            var first = server.connections[0];
+
+            setTimeout(function () {
+                assert(first.closed);
+                assert.equal(tokens, 2);
+                assert.equal(pool.stats().free, 1);
+                pool.drain(done);
+            }, 80);
+        }, done);
+    });
+
+    it('reset failure closes the connection', function (done) {
+        server.failReset(1);
+        var pool = createPool({min: 1, max: 1});
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+
+            connection.release(function (err) {
+                assert(err instanceof ConnectionPool.ConnectionResetError);
+                assert.equal(err.code, 'ECONNRESETFAILED');
+                assert.equal(err.cause.message, 'Reset failed');
+                assert(connection.closed);
+
+                pool.acquire(function (err, newConnection) {
+                    assert(!err);
+                    assert.notStrictEqual(newConnection, connection);
+                    newConnection.release();
+                    pool.drain(done);
+                });
+            });
+        });
+    });
+
+    it('release() without a callback does not fail when the reset fails', function () {
+        server.failReset(1);
+        var pool = createPool({min: 1, max: 1});
+        var events = [];
+        pool.on('resetError', function (err, connection) {
+            events.push({err: err, connection: connection});
+        });
+
+        return pool.acquire().then(function (connection) {
+            return connection.release().then(function () {
+                assert.equal(events.length, 1);
+                assert(events[0].err instanceof ConnectionPool.ConnectionResetError);
+                assert.strictEqual(events[0].connection, connection);
+                assert.equal(pool.stats().counters.resetError, 1);
+                assert(connection.closed);
+                return pool.drain();
+            });
+        });
+    });
+
+    it('dropped connection is replaced', function () {
+        var pool = createPool({min: 1, max: 1, retryDelay: 10});
+        pool.on('error', function () {});
+
+        return pool.acquire().then(function (connection) {
+            connection.fail();
+            assert.equal(pool.stats().retrying, 1);
+            return pool.acquire();
+        }).then(function (connection) {
+            assert.equal(server.openConnections().length, 1);
+            connection.release();
+            return pool.drain();
+        });
+    });
+
+    it('use() destroys the connection after a ConnectionError', function () {
+        var pool = createPool({min: 1, max: 1});
+        var first;
+
+        return pool.use(function (connection) {
+            first = connection;
+            throw new ConnectionError('Connection lost', 'ESOCKET');
+        }).then(function () {
+            assert.fail('use() should have failed');
+        }, function () {
+            assert(first.closed);
+            assert.equal(first.resets, 0);
+            return pool.drain();
+        });
+    });
+
+    it('acquire() sessionContext failure releases the connection', function () {
+        server.handler = function (sql) {
+            if (sql.indexOf('sp_set_session_context') !== -1)
+                throw new Error('Context failed');
+            return [];
+        };
+        server.failReset(1);
+        var pool = createPool({min: 1, max: 1});
+        var resetError = new Promise(function (resolve) {
+            pool.once('resetError', resolve);
+        });
+
+        return pool.acquire({sessionContext: {tenantId: 42}}).then(function () {
+            assert.fail('acquire() should have failed');
+        }, function (err) {
+            assert.equal(err.message, 'Context failed');
+            return resetError; //it was released, and closed because the reset failed
+        }).then(function (err) {
+            assert(err instanceof ConnectionPool.ConnectionResetError);
+            assert(server.connections[0].closed);
+            assert.equal(pool.stats().counters.release, 1);
+            assert.equal(pool.stats().counters.resetError, 1);
+            return pool.drain();
+        });
+    });
+
+    it('idle validation resets a connection released lazily before handing it out', function (done) {
+        var contexts = [];
+        server.handler = function (sql, parameters) {
+            if (sql.indexOf('sp_set_session_context') !== -1)
+                contexts.push(parameters.v0);
+            return [];
+        };
+
+        var validations = 0;
+        var pool = createPool({
+            min: 1,
+            max: 1,
+            resetOnRelease: 'lazy',
+            validationInterval: 20,
+            validateOnAcquire: function () {
+                if (++validations === 2) { //the idle validation, acquire() has to wait for it
+                    pool.acquire(function (err, connection) {
+                        assert(!err);
+                        assert.equal(connection.resets, 1);
+                        assert.deepEqual(contexts, ['A', null]);
+                        connection.release();
+                        pool.drain(done);
+                    });
+                }
+
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, 30);
+                });
+            }
+        });
+
+        pool.acquire({sessionContext: {tenantId: 'A'}}, function (err, connection) {
+            assert(!err);
+            connection.release();
+        });
+    });
+
+    it('stream() destroyed early', function (done) {
+        var rows = [];
+        for (var i = 0; i < 1000; i++)
+            rows.push({id: i});
+        server.handler = function (sql, parameters) {
+            return sql === 'SELECT id FROM ids' ? rows : [{value: parameters.value}];
+        };
+
+        var pool = createPool({min: 1, max: 1});
+        var count = 0;
+        var stream = pool.stream('SELECT id FROM ids');
+
+        stream.on('data', function () {
+            count++;
+            if (count === 10)
+                stream.destroy();
+        });
+        stream.on('close', function () {
+            assert.equal(count, 10);
+            pool.query('SELECT @value AS value', {value: 1}).then(function (result) {
+                assert.deepEqual(result.rows, [{value: 1}]);
+                return pool.drain();
+            }).then(done, done);
+        });
+    });
+
+    it('drain', function () {
+        var pool = createPool({min: 3, max: 3});
+
+        return pool.ready().then(function () {
+            return pool.drain();
+        }).then(function () {
+            assert.equal(server.openConnections().length, 0);
+            assert.equal(server.connections.length, 3);
+        });
+    });
+
+    it('drain() waits for running requests while idle connections time out', function () {
+        server.handler = function (sql) {
+            if (sql !== 'WAITFOR DELAY')
+                return [];
+            return new Promise(function (resolve) {
+                setTimeout(function () {
+                    resolve([]);
+                }, 300);
+            });
+        };
+
+        var pool = createPool({min: 2, max: 2, idleTimeout: 150});
+        var first;
+
+        return pool.acquire().then(function (connection) {
+            first = connection;
+            return pool.acquire();
+        }).then(function (second) {
+            second.execSql(new Request('WAITFOR DELAY', function () {}));
+            return first.release(); //times out while drain() waits for second
+        }).then(function () {
+            return pool.drain();
+        }).then(function () {
+            assert.equal(server.openConnections().length, 0);
+        });
+    });
+
+    it('graceful drain waits for used connections', function () {
+        var pool = createPool({min: 2, max: 2});
+
+        return pool.acquire().then(function (connection) {
+            setTimeout(function () {
+                connection.release();
+            }, 50);
+
+            return pool.drain({graceful: true});
+        }).then(function () {
+            assert.equal(server.openConnections().length, 0);
+        });
+    });
+
+    it('acquire timeout', function (done) {
+        var pool = createPool({min: 1, max: 1, acquireTimeout: 20});
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+
+            pool.acquire(function (err) {
+                assert(err instanceof ConnectionPool.AcquireTimeoutError);
+                assert.equal(err.code, 'EACQUIRETIMEOUT');
+                assert.equal(err.timeout, 20);
+                connection.release();
+                pool.drain(done);
+            });
+        });
+    });
+
+    it('drain() fails waiting acquire() calls', function () {
+        var pool = createPool({min: 1, max: 1});
+
+        return pool.acquire().then(function () {
+            var waiting = pool.acquire();
+            pool.drain();
+            return waiting;
+        }).then(function () {
+            assert.fail('acquire() should have failed');
+        }, function (err) {
+            assert(err instanceof ConnectionPool.PoolDrainedError);
+            assert.equal(err.code, 'EPOOLDRAINED');
+        });
+    });
+
+    it('acquire() and release() after drain', function (done) {
+        var pool = createPool({min: 1, max: 1});
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+
+            pool.drain(function () {
+                pool.acquire(function (err) {
+                    assert(err instanceof ConnectionPool.PoolDrainedError);
+
+                    connection.release(function (err) {
+                        assert(!err);
+                        connection.release().then(done, done);
+                    });
+                });
+            });
+        });
+    });
+
+    it('release() interrupted by drain resolves', function () {
+        var pool = createPool({min: 1, max: 1});
+
+        return pool.acquire().then(function (connection) {
+            var released = connection.release();
+            pool.drain();
+            return released;
+        });
+    });
+
+    it('PoolManager maxConnections includes the pools\' min connections', function () {
+        var manager = new PoolManager({
+            maxConnections: 2,
+            factory: function () {
+                return {poolConfig: {min: 3, max: 5, acquireTimeout: 50, connectionFactory: server.connect}, connectionConfig: {}};
+            }
+        });
+
+        return manager.acquire('a').then(function () {
+            return manager.acquire('b').then(function () {
+                assert.fail('acquire() should have failed');
+            }, function (err) {
+                assert(err instanceof ConnectionPool.AcquireTimeoutError);
+            });
+        }).then(function () {
+            assert.equal(server.openConnections().length, 2);
+            return manager.drain();
+        });
+    });
+
+    it('PoolManager gives a closed connection\'s slot to another key without exceeding maxConnections', function () {
+        var manager = new PoolManager({
+            maxConnections: 3,
+            factory: function (key) {
+                var poolConfig = {max: 5, acquireTimeout: 1000, connectionFactory: server.connect};
+                if (key === 'a') {
+                    poolConfig.min = 2;
+                    poolConfig.idleTimeout = 50;
+                }
+                return {poolConfig: poolConfig, connectionConfig: {}};
+            }
+        });
+
+        return manager.acquire('a').then(function () {
+            return manager.acquire('b');
+        }).then(function () {
+            assert.equal(server.openConnections().length, 3);
+            return manager.acquire('c'); //waits for a's idle connection to close
+        }).then(function () {
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 20);
+            });
+        }).then(function () {
+            assert.equal(server.openConnections().length, 3);
+            return manager.drain();
+        });
+    });
+
+    it('PoolManager acquire() after drain', function () {
+        var manager = new PoolManager({
+            factory: function () {
+                return {poolConfig: {connectionFactory: server.connect}, connectionConfig: {}};
+            }
+        });
+
+        return manager.drain().then(function () {
+            return manager.acquire('a');
+        }).then(function () {
+            assert.fail('acquire() should have failed');
+        }, function (err) {
+            assert(err instanceof ConnectionPool.PoolDrainedError);
+        });
+    });
+});
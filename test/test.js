@@ -1,7 +1,11 @@
 'use strict';
 var assert = require('assert');
 var Request = require('tedious').Request;
+var TYPES = require('tedious').TYPES;
 var ConnectionPool = require('../lib/connection-pool');
+var metrics = require('../lib/metrics');
+var PoolCluster = require('../lib/pool-cluster');
+var PoolManager = require('../lib/pool-manager');
 var Connection = require('tedious').Connection;
 
 var connectionConfig, timeout;
@@ -71,6 +75,14 @@ describe('Name Collision', function () {
         assert(!con.pool);
         con.close();
     });
+
+    it('destroy', function () {
+        assert(!Connection.prototype.destroy);
+
+        var con = new Connection({});
+        assert(!con.destroy);
+        con.close();
+    });
 });
 
 describe('ConnectionPool', function () {
@@ -260,6 +272,55 @@ describe('ConnectionPool', function () {
         setTimeout(testConnected, 100);
     });
 
+    it('connection retry backoff', function (done) {
+        this.timeout(timeout);
+        var poolConfig = {min: 1, max: 1, retryDelay: 50, retryBackoff: 2};
+        var pool = new ConnectionPool(poolConfig, {});
+        var errors = [];
+
+        pool.on('error', function() {
+            errors.push(Date.now());
+            if (errors.length < 3)
+                return;
+
+            pool.removeAllListeners('error');
+            pool.on('error', function() {});
+            assert(errors[2] - errors[1] > errors[1] - errors[0]);
+            pool.drain(done);
+        });
+    });
+
+    it('circuit breaker', function (done) {
+        this.timeout(timeout);
+        var poolConfig = {min: 1, max: 1, retryDelay: 5, circuitBreakerThreshold: 2};
+        var pool = new ConnectionPool(poolConfig, {});
+
+        pool.on('error', function() {});
+
+        pool.acquire(function(err) {
+            assert(err instanceof ConnectionPool.PoolUnavailableError);
+        });
+
+        pool.on('circuitOpen', function(err) {
+            assert(!!err);
+
+            pool.acquire(function(err, connection) {
+                assert(err instanceof ConnectionPool.PoolUnavailableError);
+                assert(!!err.cause);
+                assert(!connection);
+                pool.connectionConfig = connectionConfig;
+            });
+        });
+
+        pool.on('circuitClosed', function() {
+            pool.acquire(function(err, connection) {
+                assert(!err);
+                assert(!!connection);
+                pool.drain(done);
+            });
+        });
+    });
+
     it('acquire timeout', function (done) {
         this.timeout(timeout);
 
@@ -272,12 +333,97 @@ describe('ConnectionPool', function () {
         });
 
         pool.acquire(function(err, connection) {
-            assert(!!err);
+            assert(err instanceof ConnectionPool.AcquireTimeoutError);
+            assert.equal(err.code, 'EACQUIRETIMEOUT');
             assert(!connection);
             done();
         });
     });
 
+    it('acquire() acquireTimeout option', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.acquire(function(err, connection) {
+            assert(!err);
+
+            var start = Date.now();
+            pool.acquire({acquireTimeout: 100}, function(err, connection) {
+                assert(!!err);
+                assert(!connection);
+                assert(Date.now() - start < 1000);
+                pool.drain(done);
+            });
+        });
+    });
+
+    it('maxWaitingClients', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, maxWaitingClients: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.acquire(function(err) {
+            assert(!err);
+        });
+
+        pool.acquire(function() { });
+
+        pool.acquire(function(err, connection) {
+            assert(err instanceof ConnectionPool.PoolQueueFullError);
+            assert(!connection);
+            pool.drain(done);
+        });
+    });
+
+    it('acquire() priority', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var order = [];
+
+        return pool.acquire().then(function (connection) {
+            var low = pool.acquire({priority: 1}).then(function (connection) {
+                order.push('low');
+                return connection.release();
+            });
+            var high = pool.acquire({priority: 10}).then(function (connection) {
+                order.push('high');
+                return connection.release();
+            });
+
+            connection.release();
+            return Promise.all([low, high]);
+        }).then(function () {
+            assert.deepEqual(order, ['high', 'low']);
+            return pool.drain();
+        });
+    });
+
+    it('acquire() signal', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var controller = new AbortController();
+
+        pool.acquire(function(err) {
+            assert(!err);
+
+            pool.acquire({signal: controller.signal}, function(err, connection) {
+                assert(err instanceof ConnectionPool.AbortError);
+                assert(!connection);
+                assert.equal(pool.waiting.length, 0);
+                pool.drain(done);
+            });
+
+            controller.abort();
+        });
+    });
+
     it('idle timeout', function (done) {
         this.timeout(timeout);
         var poolConfig = {min: 1, max: 5, idleTimeout: 100};
@@ -382,18 +528,1129 @@ describe('ConnectionPool', function () {
         });
     });
 
-    it('drain', function (done) {
+    it('acquire() promise', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.acquire().then(function (connection) {
+            assert(!!connection);
+
+            return new Promise(function (resolve) {
+                var request = new Request('select 42', function (err, rowCount) {
+                    assert(!err);
+                    assert.strictEqual(rowCount, 1);
+                    resolve(connection.release());
+                });
+
+                connection.execSql(request);
+            });
+        }).then(function () {
+            return pool.drain();
+        });
+    });
+
+    it('release() promise', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.acquire().then(function (connection) {
+            return connection.release();
+        }).then(function () {
+            assert.equal(pool.connections.length, 1);
+            assert.equal(pool.connections[0].status, 1/*FREE*/);
+            return pool.drain();
+        });
+    });
+
+    it('drain() promise', function () {
         this.timeout(timeout);
 
         var poolConfig = {min: 3};
         var pool = new ConnectionPool(poolConfig, connectionConfig);
 
-        pool.acquire(function() { });
+        return pool.acquire().then(function (connection) {
+            var connections = pool.connections.map(function (pooled) {
+                return pooled.con;
+            });
+            var ended = 0;
 
-        setTimeout(function() {
-            assert.equal(pool.connections.length, poolConfig.min);
+            connections.forEach(function (con) {
+                con.on('end', function () {
+                    ended++;
+                });
+            });
+
+            return pool.drain().then(function () {
+                assert.equal(ended, connections.length);
+            });
+        });
+    });
+
+    it('use()', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.use(function (connection) {
+            return new Promise(function (resolve, reject) {
+                var value;
+                var request = new Request('select 42', function (err) {
+                    if (err)
+                        reject(err);
+                    else
+                        resolve(value);
+                });
+
+                request.on('row', function (columns) {
+                    value = columns[0].value;
+                });
+
+                connection.execSql(request);
+            });
+        }).then(function (value) {
+            assert.strictEqual(value, 42);
+            assert.equal(pool.connections[0].status, 1/*FREE*/);
+            return pool.drain();
+        });
+    });
+
+    it('use() releases on error', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.use(function () {
+            throw new Error('failed');
+        }).then(function () {
+            assert(false);
+        }, function (err) {
+            assert.equal(err.message, 'failed');
+            assert.equal(pool.connections[0].status, 1/*FREE*/);
+            return pool.drain();
+        });
+    });
+
+    it('use() closes connection on connection error', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var con, ended;
+
+        return pool.use(function (connection) {
+            con = connection;
+            ended = new Promise(function (resolve) {
+                connection.on('end', resolve);
+            });
+
+            var err = new Error('failed');
+            err.name = 'ConnectionError';
+            throw err;
+        }).catch(function (err) {
+            assert.equal(err.name, 'ConnectionError');
+            return ended;
+        }).then(function () {
+            for (var i = 0; i < pool.connections.length; i++)
+                assert.notStrictEqual(pool.connections[i].con, con);
+            return pool.drain();
+        });
+    });
+
+    it('transaction() commit', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.transaction(function (connection) {
+            return new Promise(function (resolve, reject) {
+                var trancount;
+                var request = new Request('SELECT @@TRANCOUNT', function (err) {
+                    if (err)
+                        reject(err);
+                    else
+                        resolve(trancount);
+                });
+
+                request.on('row', function (columns) {
+                    trancount = columns[0].value;
+                });
+
+                connection.execSql(request);
+            });
+        }).then(function (trancount) {
+            assert.strictEqual(trancount, 1);
+            assert(!pool.connections[0].con.inTransaction);
+            return pool.drain();
+        });
+    });
+
+    it('transaction() rollback', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var openTransaction = false;
+
+        pool.on('openTransaction', function () {
+            openTransaction = true;
+        });
+
+        return pool.transaction(function (connection) {
+            assert(connection.inTransaction);
+            throw new Error('failed');
+        }).then(function () {
+            assert(false);
+        }, function (err) {
+            assert.equal(err.message, 'failed');
+            assert(!pool.connections[0].con.inTransaction);
+            assert(!openTransaction);
+            return pool.drain();
+        });
+    });
+
+    it('release() with open transaction', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.on('openTransaction', function (connection) {
+            assert(!!connection);
             pool.drain(done);
-        }, 4);
+        });
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+
+            connection.beginTransaction(function (err) {
+                assert(!err);
+                connection.release();
+            });
+        });
+    });
+
+    it('leak detection', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, leakDetectionThreshold: 100};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.on('leak', function (leak) {
+            assert.equal(leak.id, pool.connections[0].id);
+            assert(/Connection acquired/.test(leak.stack));
+            pool.drain(done);
+        });
+
+        pool.acquire(function (err) {
+            assert(!err);
+        });
+    });
+
+    it('force release', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, forceReleaseAfter: 100};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+
+            connection.on('end', function () {
+                assert.equal(pool.connections.length, 1);
+                assert.notStrictEqual(pool.connections[0].con, connection);
+                pool.drain(done);
+            });
+        });
+    });
+
+    it('stats()', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 2, max: 2};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var events = [];
+
+        ['acquire', 'release', 'create', 'enqueue'].forEach(function (event) {
+            pool.on(event, function () {
+                events.push(event);
+            });
+        });
+
+        return pool.acquire().then(function (connection) {
+            var stats = pool.stats();
+            assert.equal(stats.total, 2);
+            assert.equal(stats.used, 1);
+            assert.equal(stats.free + stats.pending, 1);
+            assert.equal(stats.waiting, 0);
+            assert.equal(stats.counters.acquire, 1);
+            assert(stats.acquireWait.max >= stats.acquireWait.p50);
+
+            return connection.release();
+        }).then(function () {
+            var stats = pool.stats();
+            assert.equal(stats.used, 0);
+            assert.equal(stats.counters.release, 1);
+            assert.notEqual(events.indexOf('enqueue'), -1);
+            assert.notEqual(events.indexOf('create'), -1);
+            assert(events.indexOf('acquire') < events.indexOf('release'));
+            return pool.drain();
+        });
+    });
+
+    it('timeout event', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, acquireTimeout: 1000};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.on('timeout', function () {
+            assert.equal(pool.stats().counters.timeout, 1);
+            pool.drain(done);
+        });
+
+        pool.acquire(function (err) {
+            assert(!err);
+        });
+
+        pool.acquire(function (err) {
+            assert(!!err);
+        });
+    });
+
+    it('metrics', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var exporter = metrics(pool, {labels: {pool: 'test'}});
+
+        return pool.acquire().then(function () {
+            var text = exporter();
+
+            assert(/^tedious_pool_connections\{pool="test",state="used"\} 1$/m.test(text));
+            assert(/^tedious_pool_waiting\{pool="test"\} 0$/m.test(text));
+            assert(/^tedious_pool_acquire_duration_seconds_bucket\{pool="test",le="\+Inf"\} 1$/m.test(text));
+            assert(/^tedious_pool_acquire_duration_seconds_count\{pool="test"\} 1$/m.test(text));
+            assert(/^tedious_pool_acquires_total\{pool="test"\} 1$/m.test(text));
+            assert(/^# TYPE tedious_pool_reset_errors_total counter$/m.test(text));
+            return pool.drain();
+        });
+    });
+
+    it('validateOnAcquire', function () {
+        this.timeout(timeout);
+
+        var invalid = [];
+        var poolConfig = {
+            min: 2,
+            max: 2,
+            validateOnAcquire: function (connection) {
+                return invalid.indexOf(connection) === -1;
+            }
+        };
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var first;
+
+        return pool.acquire().then(function (connection) {
+            first = connection;
+            return connection.release();
+        }).then(function () {
+            invalid.push(first);
+            return pool.acquire();
+        }).then(function (connection) {
+            assert.notStrictEqual(connection, first);
+            for (var i = 0; i < pool.connections.length; i++)
+                assert.notStrictEqual(pool.connections[i].con, first);
+            return pool.drain();
+        });
+    });
+
+    it('validateOnAcquire with SELECT 1', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, validateOnAcquire: true};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var first;
+
+        return pool.acquire().then(function (connection) {
+            first = connection;
+            return connection.release();
+        }).then(function () {
+            return pool.acquire();
+        }).then(function (connection) {
+            assert.strictEqual(connection, first);
+            return pool.drain();
+        });
+    });
+
+    it('validationInterval', function (done) {
+        this.timeout(timeout);
+
+        var validated = 0;
+        var poolConfig = {
+            min: 1,
+            max: 1,
+            validationInterval: 100,
+            validateOnAcquire: function () {
+                validated++;
+                return false;
+            }
+        };
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.on('destroy', function () {
+            assert.equal(validated, 1);
+            assert.equal(pool.connections.length, 1);
+            pool.drain(done);
+        });
+    });
+
+    it('maxUses', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, maxUses: 2};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var connections = [];
+
+        function use() {
+            return pool.acquire().then(function (connection) {
+                connections.push(connection);
+                return connection.release();
+            });
+        }
+
+        return use().then(use).then(use).then(function () {
+            assert.strictEqual(connections[0], connections[1]);
+            assert.notStrictEqual(connections[1], connections[2]);
+            return pool.drain();
+        });
+    });
+
+    it('maxLifetime', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, maxLifetime: 500, maxLifetimeJitter: 0};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var first;
+
+        return pool.acquire().then(function (connection) {
+            first = connection;
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 600);
+            });
+        }).then(function () {
+            assert.equal(pool.connections[0].con, first); //never closed while in use
+            return first.release();
+        }).then(function () {
+            return pool.acquire();
+        }).then(function (connection) {
+            assert.notStrictEqual(connection, first);
+            return pool.drain();
+        });
+    });
+
+    it('onConnect, onReset', function () {
+        this.timeout(timeout);
+
+        function setArithAbort(connection) {
+            return new Promise(function (resolve, reject) {
+                connection.execSql(new Request('SET ARITHABORT ON', function (err) {
+                    if (err)
+                        reject(err);
+                    else
+                        resolve();
+                }));
+            });
+        }
+
+        var connected = 0;
+        var reset = 0;
+        var poolConfig = {
+            min: 1,
+            max: 1,
+            onConnect: function (connection) {
+                connected++;
+                return setArithAbort(connection);
+            },
+            onReset: function (connection) {
+                reset++;
+                return setArithAbort(connection);
+            }
+        };
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.acquire().then(function (connection) {
+            assert.equal(connected, 1);
+            return connection.release();
+        }).then(function () {
+            assert.equal(reset, 1);
+            return pool.use(function (connection) {
+                return new Promise(function (resolve, reject) {
+                    var arithAbort;
+                    var request = new Request('SELECT SESSIONPROPERTY(\'ARITHABORT\')', function (err) {
+                        if (err)
+                            reject(err);
+                        else
+                            resolve(arithAbort);
+                    });
+
+                    request.on('row', function (columns) {
+                        arithAbort = columns[0].value;
+                    });
+
+                    connection.execSql(request);
+                });
+            });
+        }).then(function (arithAbort) {
+            assert.equal(arithAbort, 1);
+            return pool.drain();
+        });
+    });
+
+    it('onConnect failure', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {
+            min: 1,
+            max: 1,
+            onConnect: function () {
+                throw new Error('failed');
+            }
+        };
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.on('error', function (err) {
+            assert(err instanceof ConnectionPool.ConnectionCreateError);
+            assert.equal(err.cause.message, 'failed');
+            assert.equal(pool.stats().free, 0);
+            pool.drain(done);
+        });
+    });
+
+    it('acquire() sessionContext', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        function getTenantId(connection) {
+            return new Promise(function (resolve, reject) {
+                var tenantId;
+                var request = new Request('SELECT SESSION_CONTEXT(N\'tenantId\')', function (err) {
+                    if (err)
+                        reject(err);
+                    else
+                        resolve(tenantId);
+                });
+
+                request.on('row', function (columns) {
+                    tenantId = columns[0].value;
+                });
+
+                connection.execSql(request);
+            });
+        }
+
+        var con;
+        return pool.acquire({sessionContext: {tenantId: 42}}).then(function (connection) {
+            con = connection;
+            return getTenantId(connection);
+        }).then(function (tenantId) {
+            assert.strictEqual(tenantId, 42);
+            return con.release();
+        }).then(function () {
+            return pool.acquire();
+        }).then(function (connection) {
+            assert.strictEqual(connection, con);
+            return getTenantId(connection);
+        }).then(function (tenantId) {
+            assert.strictEqual(tenantId, null);
+            return pool.drain();
+        });
+    });
+
+    it('resetOnRelease lazy', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, resetOnRelease: 'lazy'};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var con;
+
+        return pool.acquire().then(function (connection) {
+            con = connection;
+            return connection.release();
+        }).then(function () {
+            assert(pool.connections[0].dirty);
+            assert.equal(pool.connections[0].status, 1/*FREE*/);
+            return pool.acquire();
+        }).then(function (connection) {
+            assert.strictEqual(connection, con);
+            assert(!pool.connections[0].dirty);
+            return pool.drain();
+        });
+    });
+
+    it('release({reset: false})', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var reset = false;
+
+        return pool.acquire().then(function (connection) {
+            connection.reset = function () {
+                reset = true;
+            };
+            return connection.release({reset: false});
+        }).then(function () {
+            assert(!reset);
+            assert.equal(pool.connections[0].status, 1/*FREE*/);
+            return pool.drain();
+        });
+    });
+
+    it('connection.destroy()', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.acquire().then(function (connection) {
+            connection.destroy();
+            assert.equal(pool.connections.length, 1);
+            assert.notStrictEqual(pool.connections[0].con, connection);
+            return pool.drain();
+        });
+    });
+
+    it('query()', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.query('SELECT @value AS value, @name AS name', {
+            value: 42,
+            name: {type: TYPES.VarChar, value: 'test', options: {length: 10}}
+        }).then(function (result) {
+            assert.strictEqual(result.rowCount, 1);
+            assert.deepEqual(result.rows, [{value: 42, name: 'test'}]);
+            assert.equal(pool.connections[0].status, 1/*FREE*/);
+            return pool.drain();
+        });
+    });
+
+    it('execute()', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, resetOnRelease: false}; //keeps the temporary procedure
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.query('CREATE PROCEDURE #pool_test @input INT, @output INT OUTPUT AS BEGIN SET @output = @input * 2; SELECT @input AS input; RETURN 7; END').then(function () {
+            return pool.execute('#pool_test', {
+                input: 21,
+                output: {type: TYPES.Int, output: true}
+            });
+        }).then(function (result) {
+            assert.deepEqual(result.rows, [{input: 21}]);
+            assert.strictEqual(result.output.output, 42);
+            assert.strictEqual(result.returnValue, 7);
+            return pool.drain();
+        });
+    });
+
+    it('stream()', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        var count = 0;
+        pool.stream('SELECT TOP (@count) o1.object_id AS id FROM sys.objects o1 CROSS JOIN sys.objects o2', {count: 1000})
+            .on('data', function (row) {
+                assert.ok('id' in row);
+                count++;
+            })
+            .on('error', done)
+            .on('end', function () {
+                assert.equal(count, 1000);
+                setTimeout(function () {
+                    assert.equal(pool.connections[0].status, 1/*FREE*/);
+                    pool.drain(done);
+                }, 200);
+            });
+    });
+
+    it('stream() destroyed early', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        var count = 0;
+        var stream = pool.stream('SELECT TOP 100000 o1.object_id AS id FROM sys.objects o1 CROSS JOIN sys.objects o2 CROSS JOIN sys.objects o3');
+        stream.on('data', function () {
+            count++;
+            if (count === 10)
+                stream.destroy();
+        });
+        stream.on('close', function () {
+            assert.equal(count, 10);
+            //the request is cancelled, so the connection is released for the next caller
+            pool.query('SELECT 1 AS value').then(function (result) {
+                assert.deepEqual(result.rows, [{value: 1}]);
+                assert.equal(pool.connections.length, 1);
+                return pool.drain();
+            }).then(done, done);
+        });
+    });
+
+    it('bulkLoad()', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, resetOnRelease: false}; //keeps the temporary table
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        var rows = [];
+        for (var i = 0; i < 25; i++)
+            rows.push({id: i, name: 'row ' + i});
+
+        var progress = [];
+        var columns = [
+            {name: 'id', type: TYPES.Int, nullable: false},
+            {name: 'name', type: TYPES.NVarChar, length: 50, nullable: true}
+        ];
+
+        return pool.query('CREATE TABLE #bulk_test (id INT NOT NULL, name NVARCHAR(50) NULL)').then(function () {
+            return pool.bulkLoad('#bulk_test', columns, rows, {
+                batchSize: 10,
+                onProgress: function (rowCount) {
+                    progress.push(rowCount);
+                }
+            });
+        }).then(function (result) {
+            assert.strictEqual(result.rowCount, 25);
+            assert.deepEqual(progress, [10, 20, 25]);
+            return pool.query('SELECT COUNT(*) AS count FROM #bulk_test');
+        }).then(function (result) {
+            assert.strictEqual(result.rows[0].count, 25);
+            return pool.drain();
+        });
+    });
+
+    it('bulkLoad() failure destroys the connection', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        var connection;
+        return pool.query('SELECT 1').then(function () {
+            connection = pool.connections[0].con;
+            return pool.bulkLoad('#missing_table', [{name: 'id', type: TYPES.Int}], [{id: 1}]);
+        }).then(function () {
+            assert.fail('bulkLoad should have failed');
+        }, function (err) {
+            assert.ok(err);
+            assert.ok(pool.connections.every(function (pooled) {
+                return pooled.con !== connection;
+            }));
+            return pool.drain();
+        });
+    });
+
+    it('prepared()', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        var statement = pool.prepared('SELECT @value * 2 AS value', {value: TYPES.Int});
+        var handle;
+
+        return statement.execute({value: 21}).then(function (result) {
+            assert.deepEqual(result.rows, [{value: 42}]);
+            assert.equal(pool.connections[0].statements.size, 1);
+            handle = pool.connections[0].statements.get(statement).request.handle;
+            return statement.execute({value: 1});
+        }).then(function (result) {
+            assert.deepEqual(result.rows, [{value: 2}]);
+            //prepared only once on the connection
+            assert.strictEqual(pool.connections[0].statements.get(statement).request.handle, handle);
+            return pool.drain();
+        });
+    });
+
+    it('resize', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 3, max: 4};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var first, second;
+
+        return Promise.all([pool.acquire(), pool.acquire()]).then(function (connections) {
+            first = connections[0];
+            second = connections[1];
+
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 1000); //let the third connection connect
+            });
+        }).then(function () {
+            assert.equal(pool.stats().free, 1);
+
+            pool.resize({min: 1, max: 1});
+            assert.equal(pool.min, 1);
+            assert.equal(pool.max, 1);
+            assert.equal(pool.connections.length, 2); //the FREE connection is closed
+
+            return first.release();
+        }).then(function () {
+            assert.equal(pool.connections.length, 1); //the surplus USED connection is closed when released
+            assert.strictEqual(pool.connections[0].con, second);
+            return second.release();
+        }).then(function () {
+            pool.resize({min: 3, max: 3});
+            assert.equal(pool.connections.length, 3);
+            return pool.drain();
+        });
+    });
+
+    it('updateConnectionConfig', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+
+            pool.updateConnectionConfig(Object.assign({}, connectionConfig));
+
+            //the old connection is recycled instead of being reused
+            connection.release().then(function () {
+                pool.acquire(function (err, newConnection) {
+                    assert(!err);
+                    assert.notStrictEqual(newConnection, connection);
+                    assert.strictEqual(newConnection.config, pool.connections[0].con.config);
+                    newConnection.release();
+                    pool.drain(done);
+                });
+            });
+        });
+    });
+
+    it('connectionConfig factory', function () {
+        this.timeout(timeout);
+
+        var calls = 0;
+        var poolConfig = {min: 1, max: 1, credentialExpiryMargin: 0};
+        var pool = new ConnectionPool(poolConfig, function () {
+            calls++;
+            return Promise.resolve(Object.assign({expires: Date.now() + 2000}, connectionConfig));
+        });
+
+        var first;
+        return pool.acquire().then(function (connection) {
+            first = connection;
+            assert.equal(calls, 1);
+            assert.strictEqual(connection.config.expires, undefined);
+            return connection.release();
+        }).then(function () {
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 2500); //the credentials expire
+            });
+        }).then(function () {
+            return pool.acquire();
+        }).then(function (connection) {
+            assert.notStrictEqual(connection, first);
+            assert.equal(calls, 2);
+            return connection.release();
+        }).then(function () {
+            return pool.drain();
+        });
+    });
+
+    it('connectionConfig factory failure', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, retryDelay: 200};
+        var failures = 1;
+        var pool = new ConnectionPool(poolConfig, function () {
+            if (failures-- > 0)
+                throw new Error('no credentials');
+            return connectionConfig;
+        });
+
+        var errors = 0;
+        pool.on('error', function (err) {
+            assert.equal(err.cause.message, 'no credentials');
+            errors++;
+        });
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+            assert.equal(errors, 1);
+            connection.release();
+            pool.drain(done);
+        });
+    });
+
+    it('ready()', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 3, max: 4};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.ready().then(function () {
+            assert.equal(pool.stats().free, 3);
+            return pool.drain();
+        });
+    });
+
+    it('ready() failure', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1, retryDelay: 100};
+        var pool = new ConnectionPool(poolConfig, {
+            server: 'unreachable.localdomain',
+            options: {connectTimeout: 500}
+        });
+
+        return pool.ready({timeout: 3000}).then(function () {
+            assert.fail('ready() should have failed');
+        }, function (err) {
+            assert(err instanceof ConnectionPool.PoolNotReadyError);
+            assert(err.errors.length > 0);
+            return pool.drain();
+        });
+    });
+
+    it('healthCheck()', function () {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        return pool.healthCheck().then(function (health) {
+            assert.strictEqual(health.healthy, true);
+            assert(health.latency >= 0);
+            assert.equal(health.stats.total, 1);
+
+            return pool.healthCheck({
+                probe: function () {
+                    return Promise.reject(new Error('probe failed'));
+                }
+            });
+        }).then(function (health) {
+            assert.strictEqual(health.healthy, false);
+            assert.equal(health.error.message, 'probe failed');
+            return pool.drain();
+        });
+    });
+
+    it('drain', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 3};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.acquire(function() { });
+
+        setTimeout(function() {
+            assert.equal(pool.connections.length, poolConfig.min);
+            pool.drain(done);
+        }, 4);
+    });
+
+    it('graceful drain', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+        var drained = false;
+
+        pool.on('drained', function () {
+            drained = true;
+        });
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+
+            pool.acquire(function (err) {
+                assert(err instanceof ConnectionPool.PoolDrainingError);
+            });
+
+            var request = new Request('WAITFOR DELAY \'00:00:00.500\'; SELECT 42', function (err, rowCount) {
+                assert(!err);
+                assert.strictEqual(rowCount, 1);
+                connection.release();
+            });
+
+            connection.execSql(request);
+
+            pool.drain({graceful: true}, function () {
+                assert(drained);
+                assert.strictEqual(pool.connections, null);
+                done();
+            });
+
+            pool.acquire(function (err) {
+                assert(err instanceof ConnectionPool.PoolDrainingError);
+            });
+        });
+    });
+
+    it('graceful drain timeout', function (done) {
+        this.timeout(timeout);
+
+        var poolConfig = {min: 1, max: 1};
+        var pool = new ConnectionPool(poolConfig, connectionConfig);
+
+        pool.acquire(function (err, connection) {
+            assert(!err);
+
+            var request = new Request('WAITFOR DELAY \'00:01:00\'; SELECT 42', function (err) {
+                assert(!!err); //cancelled
+            });
+
+            connection.execSql(request);
+
+            pool.drain({graceful: true, timeout: 500}, done);
+        });
+    });
+});
+
+describe('PoolCluster', function () {
+
+    it('acquireWrite(), acquireRead()', function () {
+        this.timeout(timeout);
+
+        var cluster = new PoolCluster({
+            poolConfig: {min: 1, max: 2},
+            primary: connectionConfig,
+            replicas: [connectionConfig, connectionConfig]
+        });
+
+        return cluster.acquireWrite().then(function (connection) {
+            assert.strictEqual(cluster.primary.pool.stats().used, 1);
+            return connection.release();
+        }).then(function () {
+            return Promise.all([cluster.acquireRead(), cluster.acquireRead()]);
+        }).then(function (connections) {
+            assert.strictEqual(cluster.primary.pool.stats().used, 0);
+            assert.strictEqual(cluster.replicas[0].pool.stats().used, 1);
+            assert.strictEqual(cluster.replicas[1].pool.stats().used, 1);
+            return cluster.drain();
+        });
+    });
+
+    it('least-busy', function () {
+        this.timeout(timeout);
+
+        var cluster = new PoolCluster({
+            poolConfig: {min: 1, max: 2},
+            selector: 'least-busy',
+            primary: connectionConfig,
+            replicas: [connectionConfig, connectionConfig]
+        });
+
+        return cluster.replicas[0].pool.acquire().then(function () {
+            return cluster.acquireRead();
+        }).then(function () {
+            assert.strictEqual(cluster.replicas[1].pool.stats().used, 1);
+            return cluster.drain();
+        });
+    });
+
+    it('unhealthy replica', function (done) {
+        this.timeout(timeout);
+
+        var cluster = new PoolCluster({
+            poolConfig: {min: 1, max: 1, retryDelay: 5},
+            unhealthyThreshold: 2,
+            primary: connectionConfig,
+            replicas: [{}, connectionConfig]
+        });
+
+        cluster.on('error', function () {});
+
+        cluster.on('unhealthy', function (node) {
+            assert.strictEqual(node, cluster.replicas[0]);
+
+            cluster.acquireRead(function (err) {
+                assert(!err);
+                assert.strictEqual(cluster.replicas[1].pool.stats().used, 1);
+                cluster.drain(done);
+            });
+        });
+    });
+});
+
+describe('PoolManager', function () {
+
+    function factory() {
+        return {
+            poolConfig: {max: 2},
+            connectionConfig: connectionConfig
+        };
+    }
+
+    it('acquire()', function () {
+        this.timeout(timeout);
+
+        var manager = new PoolManager({factory: factory});
+
+        return Promise.all([manager.acquire('a'), manager.acquire('b')]).then(function (connections) {
+            assert.notStrictEqual(connections[0], connections[1]);
+            assert.equal(manager.pools.size, 2);
+            assert.equal(manager.pools.get('a').pool.connections.length, 1); //min defaults to 0
+            return manager.drain();
+        });
+    });
+
+    it('maxConnections', function () {
+        this.timeout(timeout);
+
+        var manager = new PoolManager({factory: factory, maxConnections: 1});
+        var evicted = [];
+
+        manager.on('evict', function (key) {
+            evicted.push(key);
+        });
+
+        return manager.acquire('a').then(function (connection) {
+            var b = manager.acquire('b');
+            assert.equal(manager.waiting.length, 1);
+            connection.release();
+            return b;
+        }).then(function () {
+            assert.deepEqual(evicted, ['a']);
+            assert.equal(manager.pools.size, 1);
+            return manager.drain();
+        });
+    });
+
+    it('maxPools', function () {
+        this.timeout(timeout);
+
+        var manager = new PoolManager({factory: factory, maxPools: 1});
+
+        return manager.acquire('a').then(function (connection) {
+            return connection.release();
+        }).then(function () {
+            return manager.acquire('b');
+        }).then(function () {
+            assert.equal(manager.pools.size, 1);
+            assert(manager.pools.has('b'));
+            return manager.drain();
+        });
     });
 });
 